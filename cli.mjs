@@ -0,0 +1,727 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { createInterface } from 'readline/promises';
+import { hostname } from 'os';
+import { config } from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { createGenerator, createDefaultDependencies, resolveGenerateOptions, resolveContentOptions } from './generate-rotated-jobs.mjs';
+import { loadGeneratorConfig } from './src/generator-config.mjs';
+import { createFileStateStore, createMongoStateStore, StateLockError, DEFAULT_STATE } from './src/state-store.mjs';
+import { EXIT_CODES, UsageError, ConfigError } from './src/exit-codes.mjs';
+import { ProfileError } from './src/profiles.mjs';
+import { PromptTemplateError } from './src/prompt-templates.mjs';
+import { PriceTableError, formatUsage } from './src/usage.mjs';
+import { LintConfigError } from './src/content-lint.mjs';
+import { SelectionConfigError, describeSelection, parseListOption } from './src/entity-selection.mjs';
+import { getJobModel, JOB_SOURCE } from './src/job-schema.mjs';
+import { createMongoJobSink } from './src/job-sink.mjs';
+import { checkJobConformance, formatConformance } from './src/job-conformance.mjs';
+import { readJobFile, formatFromPath, JobFileError, JOB_FILE_FORMATS } from './src/job-file.mjs';
+import { NotificationConfigError, createNotifier } from './src/notifications.mjs';
+import { FEED_FORMATS, FeedConfigError, exportFeed, checkFeedChannel, buildExportFilter, createJobUrl } from './src/feed-export.mjs';
+import { MAINTAIN_ACTIONS, ARCHIVE_COLLECTION, buildMaintenanceFilter, archiveJobs } from './src/job-maintenance.mjs';
+import { runStats } from './run-stats.mjs';
+import { verifySetup } from './verify-setup.mjs';
+
+config();
+
+const __filename = fileURLToPath(import.meta.url);
+const START_DELAY_MS = 3000;
+const RESET_LOCK_TTL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONFIG_ERRORS = [ConfigError, ProfileError, PromptTemplateError, PriceTableError, LintConfigError, SelectionConfigError, FeedConfigError, NotificationConfigError];
+
+const HELP = `Usage: node cli.mjs <command> [options]
+
+Commands:
+  generate             Generate jobs for the next entities in the rotation and insert them
+  import <file>        Insert reviewed jobs from a JSONL or CSV file written by generate --sink
+  export               Write stored jobs as a JSON-LD, XML (Indeed) or RSS feed
+  maintain             Expire, archive or delete generated jobs past their deadline
+  status               Show the rotation position, an interrupted run and the state lock
+  reset                Move the rotation back to the first entity
+  preview <entityId>   Generate one job for an entity and print it without inserting it
+  stats                Show recent runs and how they trend
+  verify               Check the setup: files, settings, database and LLM provider
+
+Run node cli.mjs <command> --help for the options of a command.
+
+Exit codes: 0 ok, 1 failed, 2 usage error, 3 configuration error, 4 state locked by
+another run, 5 entity not found (preview).
+`;
+
+const GENERATE_HELP = `Usage: node cli.mjs generate [options]
+
+Generates jobs for the next entities and inserts them. Every option falls back to the
+environment variable in brackets, then to the default.
+
+Options:
+  -n, --count <n>              Number of entities to visit, skipped ones included (default: 2000)
+      --resume                 Finish the last interrupted run with its original options
+      --language <code|auto>   Posting language [JOB_LANGUAGE]
+      --profile <name|file>    Generation profile from profiles/ or a JSON file [JOB_PROFILE]
+      --prompt-variants <split>  e.g. standard:80,concise:20 [PROMPT_VARIANTS]
+      --max-cost <usd>         Stop LLM calls at this cost [RUN_MAX_COST]
+      --max-tokens <n>         Stop LLM calls at this many tokens [RUN_MAX_TOKENS]
+      --on-budget <action>     template or skip, once the budget is reached [BUDGET_EXHAUSTED_ACTION]
+      --strategy <name>        sequential, weighted, least-recent or random [ENTITY_STRATEGY]
+      --category <list>        Registration categories to include [ENTITY_CATEGORIES]
+      --interest <list>        Interests to include [ENTITY_INTERESTS]
+      --country <list>         Head-office countries to include [ENTITY_COUNTRIES]
+      --exclude <list|@file>   Entity ids to leave out [ENTITY_EXCLUDE_IDS]
+      --weights <file>         Weights for the weighted strategy [ENTITY_WEIGHTS_FILE]
+      --sink <name>            mongo, jsonl, csv or stdout: where the jobs go [JOB_SINK]
+  -o, --output <file>          File for the jsonl and csv sinks [JOB_SINK_FILE]
+      --dry-run                Select and generate, but store no jobs and leave the rotation state as it is
+  -y, --yes                    Start right away instead of after a ${START_DELAY_MS / 1000} second delay
+`;
+
+const IMPORT_HELP = `Usage: node cli.mjs import <file> [options]
+
+Inserts the jobs of a JSONL or CSV file (as written by generate --sink jsonl|csv) into the
+Job collection, after an editor has reviewed it. Every record is validated against the Job
+schema first; if any is invalid nothing is inserted. Records already in the collection (same
+_id) are skipped, so a file can be imported again after fixing a failed record.
+
+Options:
+      --format <jsonl|csv>   File format (default: from the file extension)
+      --dry-run              Validate the file and report what would be inserted
+`;
+
+const EXPORT_HELP = `Usage: node cli.mjs export --format <jsonld|xml|rss> [options]
+
+Writes stored jobs as a job-board feed: schema.org JobPosting JSON-LD, an Indeed-style XML
+feed or RSS 2.0. Only active jobs (not expired, deadline not passed) are included unless
+--include-expired is given. Jobs missing a field the format requires are left out and listed.
+The xml and rss feeds need FEED_LINK; FEED_JOB_URL sets the link of each job.
+
+Options:
+  -f, --format <name>       jsonld, xml or rss
+  -o, --output <file>       Write the feed to a file (default: stdout, messages on stderr)
+      --source <source>     Job source (default: ${JOB_SOURCE})
+      --since <date>        Jobs created on or after this date (e.g. 2026-10-01)
+      --until <date>        Jobs created before this date
+      --days <n>            Jobs created in the last <n> days (instead of --since)
+      --seniority <list>    Levels to include, e.g. junior,mid-level
+      --include-expired     Include expired jobs too
+      --limit <n>           At most <n> jobs, newest first
+`;
+
+const MAINTAIN_HELP = `Usage: node cli.mjs maintain [options]
+
+Finds generated jobs whose application deadline (expiresOn) has passed and expires,
+archives or deletes them. Without --apply only the matching count is shown.
+
+Options:
+      --action <name>        expire: set status 'expired' (default)
+                             archive: move to the ${ARCHIVE_COLLECTION} collection
+                             delete: remove permanently
+      --source <source>      Job source to match (default: ${JOB_SOURCE})
+      --older-than <days>    Only jobs created more than <days> days ago
+      --legacy-days <days>   Jobs without expiresOn expire this many days after creation [JOB_ACTIVE_DAYS]
+      --apply                Perform the action (default is a dry run)
+`;
+
+const STATUS_HELP = `Usage: node cli.mjs status [--json]
+
+Shows where the rotation stands (in the store STATE_STORE selects), any interrupted run,
+who holds the state lock and today's token usage.
+
+Options:
+  --json   Print the raw state and lock as JSON
+`;
+
+const STATS_HELP = `Usage: node cli.mjs stats [options]
+
+Shows recent generation runs from the run history and how they trend: LLM success
+rate, template fallbacks, failures, throughput and cost per job. The history lives in
+the generator_runs collection (STATE_STORE=mongo) or reports/history.jsonl (STATE_STORE=file).
+
+Options:
+      --limit <n>   Number of most recent runs to include (default: 20)
+      --days <n>    Only runs started in the last <n> days
+      --json        Print the runs and trend figures as JSON
+`;
+
+const VERIFY_HELP = `Usage: node cli.mjs verify [--json] [--offline]
+
+Checks files, dependencies and settings, then connects to MongoDB (entity collection and
+eligible count, unique index on Job.slug, state document) and makes one minimal request to
+the LLM provider. Secrets are masked. Exits 1 when a check failed; warnings alone pass.
+
+Options:
+  --json      Print the checks as JSON, e.g. to gate a CI job
+  --offline   Skip the MongoDB and LLM checks
+`;
+
+const RESET_HELP = `Usage: node cli.mjs reset [--all] [--yes]
+
+Moves the rotation back to the first entity of cycle 1 and discards an interrupted run.
+Totals, usage history and the cursors of filtered runs are kept unless --all is given.
+Refuses to run while another run holds the state lock.
+
+Options:
+      --all   Reset everything to the initial state
+  -y, --yes   Do not ask for confirmation (required when not running in a terminal)
+`;
+
+const PREVIEW_HELP = `Usage: node cli.mjs preview <entityId> [options]
+
+Generates one job for the entity and prints it. Nothing is inserted and the rotation
+state is not touched; the LLM call is made (and paid for) as in a real run.
+
+Options:
+      --seniority <level>      Level to generate (default: from the profile's mix)
+      --language <code|auto>   Posting language [JOB_LANGUAGE]
+      --profile <name|file>    Generation profile [JOB_PROFILE]
+      --prompt-variants <split>  Prompt variant split [PROMPT_VARIANTS]
+      --template               Render the template posting without calling the LLM
+      --json                   Print the job record as JSON
+`;
+
+const COMMANDS = {
+  generate: {
+    help: GENERATE_HELP,
+    options: {
+      'count': { type: 'string', short: 'n' },
+      'resume': { type: 'boolean' },
+      'language': { type: 'string' },
+      'profile': { type: 'string' },
+      'prompt-variants': { type: 'string' },
+      'max-cost': { type: 'string' },
+      'max-tokens': { type: 'string' },
+      'on-budget': { type: 'string' },
+      'strategy': { type: 'string' },
+      'category': { type: 'string' },
+      'interest': { type: 'string' },
+      'country': { type: 'string' },
+      'exclude': { type: 'string' },
+      'weights': { type: 'string' },
+      'sink': { type: 'string' },
+      'output': { type: 'string', short: 'o' },
+      'dry-run': { type: 'boolean' },
+      'yes': { type: 'boolean', short: 'y' }
+    },
+    run: runGenerate
+  },
+  import: {
+    help: IMPORT_HELP,
+    positionals: 1,
+    options: { 'format': { type: 'string' }, 'dry-run': { type: 'boolean' } },
+    run: runImport
+  },
+  export: {
+    help: EXPORT_HELP,
+    options: {
+      'format': { type: 'string', short: 'f' },
+      'output': { type: 'string', short: 'o' },
+      'source': { type: 'string' },
+      'since': { type: 'string' },
+      'until': { type: 'string' },
+      'days': { type: 'string' },
+      'seniority': { type: 'string' },
+      'include-expired': { type: 'boolean' },
+      'limit': { type: 'string' }
+    },
+    run: runExport
+  },
+  maintain: {
+    help: MAINTAIN_HELP,
+    options: {
+      'action': { type: 'string' },
+      'source': { type: 'string' },
+      'older-than': { type: 'string' },
+      'legacy-days': { type: 'string' },
+      'apply': { type: 'boolean' }
+    },
+    run: runMaintain
+  },
+  status: {
+    help: STATUS_HELP,
+    options: { json: { type: 'boolean' } },
+    run: runStatus
+  },
+  reset: {
+    help: RESET_HELP,
+    options: { all: { type: 'boolean' }, yes: { type: 'boolean', short: 'y' } },
+    run: runReset
+  },
+  preview: {
+    help: PREVIEW_HELP,
+    positionals: 1,
+    options: {
+      'seniority': { type: 'string' },
+      'language': { type: 'string' },
+      'profile': { type: 'string' },
+      'prompt-variants': { type: 'string' },
+      'template': { type: 'boolean' },
+      'json': { type: 'boolean' }
+    },
+    run: runPreview
+  },
+  stats: {
+    help: STATS_HELP,
+    options: { limit: { type: 'string' }, days: { type: 'string' }, json: { type: 'boolean' } },
+    run: runStatsCommand
+  },
+  verify: {
+    help: VERIFY_HELP,
+    options: { json: { type: 'boolean' }, offline: { type: 'boolean' } },
+    run: async (flags) => verifySetup({ json: Boolean(flags.json), offline: Boolean(flags.offline) })
+  }
+};
+
+function confirmationDelay() {
+  console.log(`Starting in ${START_DELAY_MS / 1000} seconds... (Ctrl+C to cancel, --yes to skip)\n`);
+  return new Promise((resolve) => setTimeout(resolve, START_DELAY_MS));
+}
+
+async function confirm(question) {
+  if (!process.stdin.isTTY) throw new UsageError('Not running in a terminal, pass --yes to confirm');
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function withDatabase(config, fn, { verbose = false } = {}) {
+  if (!config.mongodbUri) throw new ConfigError('MONGODB_URI not found');
+  await mongoose.connect(config.mongodbUri, { bufferCommands: false, dbName: config.dbName });
+  if (verbose) console.log('✅ Connected to database\n');
+  try {
+    return await fn();
+  } finally {
+    await mongoose.disconnect();
+    if (verbose) console.log('\n🔌 Database connection closed.');
+  }
+}
+
+// status and reset only need the state, so the file store works without a database
+async function withStateStore(fn) {
+  const config = loadGeneratorConfig();
+  if (config.stateStore === 'file') return fn(createFileStateStore(config.stateFile));
+  return withDatabase(config, () => fn(createMongoStateStore(mongoose.connection, { seedFile: config.stateFile })));
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : 'never');
+
+function describePosition(state) {
+  const position = state.eligibleCount ? `${state.currentIndex}/${state.eligibleCount}` : state.currentIndex;
+  return `${state.cursor ? `after entity ${state.cursor}` : 'at the first entity'} (cycle ${state.cycle}, ${position})`;
+}
+
+async function runGenerate(flags) {
+  const config = loadGeneratorConfig();
+  // generateRotatedJobs() sends the failure notification for a run it started; this one covers what
+  // fails before that, such as a bad option, a missing provider or an unreachable database
+  const notifier = config.notify.webhooks.length > 0 && !flags['dry-run'] ? createNotifier(config.notify) : null;
+  let started = false;
+  try {
+    if (!config.mongodbUri) throw new ConfigError('MONGODB_URI not found');
+    const options = resolveGenerateOptions(config, flags);
+    const { sink, dryRun } = options;
+    const generator = createGenerator({ config, ...createDefaultDependencies(config, mongoose.connection, { sink }) });
+
+    // The stdout sink owns stdout, so progress messages go to stderr
+    const log = console.log;
+    if (sink.type === 'stdout' && !dryRun) console.log = console.error;
+    try {
+      return await generate(flags, { config, generator, options, onStart: () => { started = true; } });
+    } finally {
+      console.log = log;
+    }
+  } catch (error) {
+    if (notifier && !started) await notifier.failure(error.message);
+    throw error;
+  }
+}
+
+async function generate(flags, { config, generator, options, onStart }) {
+  const { count, resume, language, profile, prompts, selection, sink, dryRun } = options;
+  const { llm, price } = generator;
+
+  console.log(`🚀 SCHEDULED ROTATED JOB GENERATION`);
+  console.log(resume ? '♻️  Resuming interrupted run' : `📊 Generating ${count} jobs`);
+  if (dryRun) console.log('🧪 Dry run: nothing is stored');
+  else if (sink.type !== 'mongo') console.log(`💾 Output: ${sink.type}${sink.file ? ` (${sink.file})` : ''}, import it later with: node cli.mjs import <file>`);
+  if (!resume) console.log(`🎯 Selection: ${describeSelection(selection)}`);
+  console.log(`🤖 LLM provider: ${llm.name} (${llm.model})`);
+  if (!resume) console.log(`🌐 Language: ${language}`);
+  if (!resume) console.log(`📋 Profile: ${profile.name} v${profile.version}`);
+  if (!resume) console.log(`📝 Prompt variants: ${Object.entries(prompts.split).map(([name, percent]) => `${name} ${percent}%`).join(', ')}`);
+  console.log(price
+    ? `💰 Price: $${price.input} input / $${price.output} output per 1M tokens`
+    : `💰 Price: unknown for ${llm.model}, costs will show as $0`);
+  // A resumed run finishes what its checkpoint has left, which is only known once the state is loaded
+  if (!resume) console.log(`⏱️  Estimated time: ${Math.ceil(count / 20)} minutes`);
+  console.log('');
+  if (!flags.yes) await confirmationDelay();
+
+  const result = await withDatabase(config, () => {
+    onStart();
+    return generator.generateRotatedJobs(count, options);
+  }, { verbose: true });
+  if (result.status === 'locked') return EXIT_CODES.LOCKED;
+  if (result.status === 'nothing-to-resume' || result.status === 'no-entities') {
+    console.log('\nℹ️  Nothing was generated.');
+    return EXIT_CODES.OK;
+  }
+  // A run that processed entities but stored none of them is a failure even though it finished
+  if (result.processed > 0 && (dryRun ? result.successful : result.inserted) === 0) {
+    console.error(`\n❌ GENERATION FAILED: none of the ${result.processed} processed entities produced a ${dryRun ? 'job' : 'stored job'}`);
+    return EXIT_CODES.FAILED;
+  }
+  console.log('\n✅ GENERATION COMPLETED SUCCESSFULLY!');
+  return EXIT_CODES.OK;
+}
+
+async function runStatus(flags) {
+  return withStateStore(async (store) => {
+    const state = await store.load();
+    const lock = await store.getLock();
+    if (flags.json) {
+      console.log(JSON.stringify({ store: { name: store.name, location: store.location }, state, lock }, null, 2));
+      return EXIT_CODES.OK;
+    }
+
+    console.log(`📊 === ROTATION STATUS ===\n`);
+    console.log(`🗄️  State: ${store.name} (${store.location})`);
+    console.log(`📍 Position: ${describePosition(state)}`);
+    console.log(`📈 Total jobs generated: ${state.totalGenerated}`);
+    console.log(`🕐 Last run: ${formatDate(state.lastRun)}${state.lastRunId ? ` (${state.lastRunId})` : ''}`);
+    const cursors = Object.keys(state.selectionCursors || {}).length;
+    if (cursors > 0) console.log(`🎯 Filtered sequential runs: ${cursors} with their own cursor`);
+
+    const run = state.activeRun;
+    if (run) {
+      console.log(`${lock ? '▶️  Running' : '⚠️  Interrupted'}: run ${run.runId}, ${run.processed}/${run.requested} entities, last checkpoint ${formatDate(run.lastCheckpoint)}${run.selection ? `, ${run.selection.strategy}` : ''}`);
+      if (!lock) console.log('   Finish it with: node cli.mjs generate --resume');
+    }
+    console.log(lock ? `🔒 Locked by ${lock.owner} until ${formatDate(lock.expiresAt)}` : '🔓 Not locked');
+
+    const today = state.usageByDay?.[new Date().toISOString().slice(0, 10)];
+    if (today) console.log(`🧮 Today: ${formatUsage(today)}`);
+    return EXIT_CODES.OK;
+  });
+}
+
+async function runReset(flags) {
+  return withStateStore(async (store) => {
+    const state = await store.load();
+    const lock = await store.getLock();
+    if (lock) throw new StateLockError(`State is locked by ${lock.owner} until ${formatDate(lock.expiresAt)}, not resetting`, lock);
+
+    console.log(`🗄️  State: ${store.name} (${store.location})`);
+    console.log(`📍 Position: ${describePosition(state)}`);
+    if (state.activeRun) {
+      console.log(`⚠️  Interrupted run ${state.activeRun.runId} (${state.activeRun.processed}/${state.activeRun.requested}) will be discarded`);
+    }
+    const scope = flags.all ? 'all rotation state, including totals and usage history' : 'the rotation position';
+    if (!flags.yes && !(await confirm(`Reset ${scope}?`))) {
+      console.log('ℹ️  Nothing changed');
+      return EXIT_CODES.OK;
+    }
+
+    // Held while writing, so a run starting at the same moment cannot save over the reset
+    const owner = `${hostname()}:${process.pid}:reset`;
+    await store.acquireLock(owner, RESET_LOCK_TTL_MS);
+    try {
+      await store.save(flags.all
+        ? { ...DEFAULT_STATE }
+        : { ...(await store.load()), cursor: null, cycle: 1, currentIndex: 0, activeRun: null });
+    } finally {
+      await store.releaseLock(owner);
+    }
+    console.log(`✅ Reset ${scope}`);
+    return EXIT_CODES.OK;
+  });
+}
+
+function printPreview(result) {
+  const job = result.jobRecord;
+  const { generation } = job;
+  console.log(`${job.title}\n\n${job.description}\n`);
+  console.log('-'.repeat(60));
+  console.log(`Organization:  ${job.companyName} (${job.entityId})`);
+  console.log(`Seniority:     ${job.seniority}`);
+  console.log(`Language:      ${job.language}`);
+  console.log(`Location:      ${[job.city, job.country].filter(Boolean).join(', ')}`);
+  console.log(`Salary:        €${job.salary.toLocaleString('en-US')}`);
+  console.log(`Contract:      ${job.contractType}${job.contractMonths ? ` (${job.contractMonths} months)` : ''}, ${job.remote}`);
+  console.log(`Policy areas:  ${job.policyAreas.join(', ') || '-'}`);
+  console.log(`Skills:        ${job.skills.join(', ')}`);
+  console.log(`Languages:     ${job.languageRequirements.map((item) => `${item.code} ${item.level}${item.mandatory ? '' : ' (optional)'}`).join(', ')}`);
+  console.log(`Education:     ${job.educationLevel}`);
+  console.log(`Expires:       ${job.expiresOn.slice(0, 10)}`);
+  console.log(`Apply:         ${job.applyLink} (${job.contactSource.applyLink}) / ${job.contactEmail} (${job.contactSource.contactEmail})`);
+  console.log(`Generated by:  ${generation.method}, ${generation.provider} (${generation.model}), prompt ${generation.promptVersion}, ${generation.attempts} attempt(s)`);
+  if (generation.fallbackReason) console.log(`Fallback:      ${generation.fallbackReason}`);
+  if (generation.lintWarnings) console.log(`Lint warnings: ${generation.lintWarnings.join('; ')}`);
+  if (generation.droppedSkills) console.log(`Dropped skills: ${generation.droppedSkills.join(', ')}`);
+  const schemaFindings = formatConformance(result.schemaFindings);
+  if (schemaFindings.length > 0) console.log(`Schema:        ${schemaFindings.join('; ')}`);
+  console.log(`Usage:         ${formatUsage(generation.usage)}`);
+}
+
+async function runPreview(flags, [entityId]) {
+  if (!entityId) throw new UsageError('preview needs an entity id: node cli.mjs preview <entityId>');
+  const config = loadGeneratorConfig();
+  const { language, profile, prompts } = resolveContentOptions(config, flags);
+  if (flags.seniority && !profile.seniority[flags.seniority]) {
+    throw new UsageError(`Unknown --seniority "${flags.seniority}". Profile ${profile.name} has: ${Object.keys(profile.seniority).join(', ')}`);
+  }
+
+  // Progress and retry messages go to stderr, so stdout holds only the job
+  const log = console.log;
+  console.log = console.error;
+  let result;
+  try {
+    const generator = createGenerator({ config, ...createDefaultDependencies(config) });
+    result = await withDatabase(config, () => generator.generateForEntity(entityId, {
+      language, profile, prompts, seniority: flags.seniority || null, template: flags.template
+    }));
+  } finally {
+    console.log = log;
+  }
+
+  if (!result) {
+    console.error(`❌ No entity with id ${entityId}`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+  if (!result.success) {
+    console.error(`❌ No job generated for ${result.entityName}: ${result.error}`);
+    return EXIT_CODES.FAILED;
+  }
+  if (flags.json) console.log(JSON.stringify(result.jobRecord, null, 2));
+  else printPreview(result);
+  return EXIT_CODES.OK;
+}
+
+async function runImport(flags, [file]) {
+  if (!file) throw new UsageError('import needs a file: node cli.mjs import <file>');
+  if (flags.format && !JOB_FILE_FORMATS.includes(flags.format)) {
+    throw new UsageError(`Unknown --format "${flags.format}". Expected one of: ${JOB_FILE_FORMATS.join(', ')}`);
+  }
+  const config = loadGeneratorConfig();
+  if (!config.mongodbUri) throw new ConfigError('MONGODB_URI not found');
+
+  let records;
+  try {
+    records = readJobFile(file, flags.format || formatFromPath(file));
+  } catch (error) {
+    if (!(error instanceof JobFileError)) throw error;
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.FAILED;
+  }
+  console.log(`📄 ${file}: ${records.length} job records`);
+
+  // The whole file is checked before anything is inserted, so a half-reviewed file never goes in partly.
+  // CSV cells are all strings, so coercions are expected there and not reported.
+  const JobModel = getJobModel();
+  const invalid = [];
+  for (const { line, record } of records) {
+    const { unknown, invalid: fields } = checkJobConformance(JobModel, record);
+    if (unknown.length > 0) console.log(`⚠️  line ${line}: ${formatConformance({ unknown, coerced: [], invalid: [] }).join('; ')}`);
+    if (fields.length > 0) invalid.push(`line ${line}: ${formatConformance({ unknown: [], coerced: [], invalid: fields }).join('; ')}`);
+  }
+  if (invalid.length > 0) {
+    console.error(`❌ ${invalid.length} invalid records, nothing imported:`);
+    invalid.forEach((message) => console.error(`   ${message}`));
+    return EXIT_CODES.FAILED;
+  }
+
+  return withDatabase(config, async () => {
+    const ids = records.map(({ record }) => record._id).filter(Boolean);
+    const existing = new Set((await JobModel.find({ _id: { $in: ids } }, { _id: 1 }).lean()).map((doc) => doc._id.toString()));
+    const jobs = records.map(({ record }) => record).filter((record) => !existing.has(String(record._id)));
+    if (existing.size > 0) console.log(`⏭️  ${existing.size} already imported, skipped`);
+    if (flags['dry-run']) {
+      console.log(`🧪 Dry run: ${jobs.length} jobs would be inserted`);
+      return EXIT_CODES.OK;
+    }
+    if (jobs.length === 0) {
+      console.log('ℹ️  Nothing to import');
+      return EXIT_CODES.OK;
+    }
+
+    const result = await createMongoJobSink(mongoose.connection).insert(jobs);
+    for (const { job, error } of result.failed) console.error(`   ❌ Insert failed: ${job.companyName}: ${error}`);
+    console.log(`💾 Inserted: ${result.inserted}, insert failures: ${result.failed.length}, slugs regenerated: ${result.regenerated}`);
+    return result.failed.length > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+  });
+}
+
+function parseDateFlag(flags, name) {
+  if (flags[name] === undefined) return null;
+  const date = new Date(flags[name]);
+  if (Number.isNaN(date.getTime())) throw new UsageError(`--${name} expects a date such as 2026-10-01`);
+  return date;
+}
+
+async function runExport(flags) {
+  if (!FEED_FORMATS.includes(flags.format)) throw new UsageError(`export needs --format ${FEED_FORMATS.join(', ')}`);
+  let since = parseDateFlag(flags, 'since');
+  const until = parseDateFlag(flags, 'until');
+  if (flags.days !== undefined) {
+    const days = Number(flags.days);
+    if (!(days > 0)) throw new UsageError('--days expects a number of days');
+    since = new Date(Date.now() - days * DAY_MS);
+  }
+  const seniorityLevels = getJobModel().schema.path('seniority').enumValues;
+  const seniority = parseListOption(flags.seniority);
+  const unknownLevel = seniority.find((level) => !seniorityLevels.includes(level));
+  if (unknownLevel) throw new UsageError(`Unknown --seniority "${unknownLevel}". Expected: ${seniorityLevels.join(', ')}`);
+  const limit = flags.limit === undefined ? null : Number(flags.limit);
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0)) throw new UsageError('--limit expects a whole number of jobs');
+
+  const config = loadGeneratorConfig();
+  const { feed } = config;
+  const channel = { title: feed.title, link: feed.link, description: feed.description, publisher: feed.title, publisherurl: feed.link };
+  checkFeedChannel(flags.format, channel);
+
+  // With the feed on stdout, messages go to stderr
+  const report = flags.output ? console.log : console.error;
+  const filter = buildExportFilter({
+    source: flags.source || JOB_SOURCE, since, until, seniority, includeExpired: flags['include-expired'],
+    activeDays: config.dedupe.activeDays
+  });
+  const jobs = await withDatabase(config, () => {
+    const query = getJobModel().find(filter).sort({ createdAt: -1 });
+    return (limit ? query.limit(limit) : query).lean();
+  });
+
+  const { output, exported, invalid } = exportFeed(jobs, flags.format, { jobUrl: createJobUrl(feed.jobUrl), channel });
+  for (const { id, title, missing } of invalid) report(`⚠️  Left out ${id} (${title || 'untitled'}): missing ${missing.join(', ')}`);
+  if (flags.output) {
+    mkdirSync(dirname(flags.output), { recursive: true });
+    writeFileSync(flags.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+  report(`📰 ${flags.format} feed: ${exported} of ${jobs.length} matching jobs${flags.output ? ` written to ${flags.output}` : ''}`);
+  // A feed where every job lacks required fields points at a mapping problem, not at an empty selection
+  return jobs.length > 0 && exported === 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+}
+
+async function runStatsCommand(flags) {
+  const limit = flags.limit === undefined ? 20 : Number(flags.limit);
+  if (!Number.isInteger(limit) || limit < 1) throw new UsageError('--limit expects a whole number of runs');
+  let since = null;
+  if (flags.days !== undefined) {
+    const days = Number(flags.days);
+    if (!(days > 0)) throw new UsageError('--days expects a number of days');
+    since = new Date(Date.now() - days * DAY_MS);
+  }
+  return runStats({ limit, since, json: Boolean(flags.json) });
+}
+
+function parseDaysFlag(flags, name) {
+  if (flags[name] === undefined) return null;
+  const days = Number(flags[name]);
+  if (!Number.isFinite(days) || days < 0) throw new UsageError(`--${name} expects a number of days, 0 or more`);
+  return days;
+}
+
+async function runMaintain(flags) {
+  const action = flags.action || 'expire';
+  if (!MAINTAIN_ACTIONS.includes(action)) throw new UsageError(`Unknown --action "${action}". Expected one of: ${MAINTAIN_ACTIONS.join(', ')}`);
+  const olderThanDays = parseDaysFlag(flags, 'older-than');
+  const legacyDaysFlag = parseDaysFlag(flags, 'legacy-days');
+  const config = loadGeneratorConfig();
+  if (!config.mongodbUri) throw new ConfigError('MONGODB_URI not found');
+  const legacyDays = legacyDaysFlag ?? config.dedupe.activeDays;
+  const source = flags.source || JOB_SOURCE;
+
+  console.log(`🧹 === JOB LIFECYCLE MAINTENANCE ===\n`);
+  console.log(`🔧 Action: ${action}${flags.apply ? '' : ' (dry run)'}`);
+  console.log(`🏷️  Source: ${source}`);
+  if (olderThanDays !== null) console.log(`📅 Created more than ${olderThanDays} days ago`);
+  console.log('');
+
+  return withDatabase(config, async () => {
+    const JobModel = getJobModel();
+    const filter = buildMaintenanceFilter({ action, source, olderThanDays, legacyDays });
+
+    const count = await JobModel.countDocuments(filter);
+    console.log(`📊 ${count} jobs past their deadline match`);
+    if (count > 0) {
+      const [range] = await JobModel.aggregate([
+        { $match: filter },
+        { $group: { _id: null, oldest: { $min: '$createdAt' }, newest: { $max: '$createdAt' } } }
+      ]);
+      console.log(`   Created between ${range.oldest?.toISOString()} and ${range.newest?.toISOString()}`);
+    }
+    if (!flags.apply || count === 0) {
+      if (count > 0) console.log(`\nℹ️  Dry run: nothing changed. Re-run with --apply to ${action} these jobs.`);
+      return EXIT_CODES.OK;
+    }
+
+    console.log('');
+    if (action === 'expire') {
+      const { modifiedCount } = await JobModel.updateMany(filter, { $set: { status: 'expired', expiredAt: new Date() } });
+      console.log(`✅ Expired ${modifiedCount} jobs`);
+    } else if (action === 'archive') {
+      const archived = await archiveJobs(JobModel, mongoose.connection, filter);
+      console.log(`✅ Archived ${archived} jobs to ${ARCHIVE_COLLECTION}`);
+    } else {
+      const { deletedCount } = await JobModel.deleteMany(filter);
+      console.log(`✅ Deleted ${deletedCount} jobs`);
+    }
+    return EXIT_CODES.OK;
+  });
+}
+
+export function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (error instanceof StateLockError) return EXIT_CODES.LOCKED;
+  if (CONFIG_ERRORS.some((errorClass) => error instanceof errorClass)) return EXIT_CODES.CONFIG;
+  return EXIT_CODES.FAILED;
+}
+
+// Runs one command and resolves to its exit code; usage and config errors are thrown
+export async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    console.log(HELP);
+    return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command "${name}". Run node cli.mjs --help for the list`);
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...command.options, help: { type: 'boolean', short: 'h' } },
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    throw new UsageError(`${error.message}. Run node cli.mjs ${name} --help for the options`);
+  }
+  if (parsed.values.help) {
+    console.log(command.help);
+    return EXIT_CODES.OK;
+  }
+  if (parsed.positionals.length > (command.positionals || 0)) {
+    throw new UsageError(`Unexpected argument "${parsed.positionals[command.positionals || 0]}" for ${name}`);
+  }
+  return command.run(parsed.values, parsed.positionals);
+}
+
+if (process.argv[1] === __filename) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      const code = exitCodeFor(error);
+      if (code === EXIT_CODES.FAILED) console.error('\n❌ FAILED:', error);
+      else console.error(`❌ ${error.message}`);
+      process.exit(code);
+    });
+}
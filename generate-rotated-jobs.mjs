@@ -1,558 +1,1014 @@
-import { config } from 'dotenv';
 import mongoose from 'mongoose';
-import OpenAI, { AzureOpenAI } from 'openai';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { appendFileSync } from 'fs';
+import { hostname } from 'os';
+import { join } from 'path';
 import { fileURLToPath } from 'url';
+import { createProvider } from './src/llm-providers.mjs';
+import { validateJobOutput, buildRepairPrompt } from './src/job-validation.mjs';
+import { AdaptiveRateLimiter } from './src/rate-limiter.mjs';
+import { withRetry, getErrorStatus } from './src/retry.mjs';
+import { ELIGIBLE_ENTITY_FILTER } from './src/rotation.mjs';
+import { buildSelection, buildEntityFilter, hasFilters, filterKey, describeSelection, selectEntityIds, DEFAULT_STRATEGY } from './src/entity-selection.mjs';
+import { getSkipReason } from './src/dedupe.mjs';
+import { JOB_SOURCE, generateSlug, getJobModel } from './src/job-schema.mjs';
+import { checkJobConformance, formatConformance } from './src/job-conformance.mjs';
+import { resolveLocation, FALLBACK_LOCATION } from './src/location.mjs';
+import { LANGUAGES, DEFAULT_LANGUAGE, parseLanguageSetting, resolveLanguage, getSectionHeadings, getLocalizedCountryName } from './src/languages.mjs';
+import { renderJobTemplate } from './src/job-templates.mjs';
+import { loadProfile, getStartDate, localizeText, DEFAULT_PROFILE } from './src/profiles.mjs';
+import { loadPromptVariants, renderTemplate, pickVariant, formatPromptVersion, PromptTemplateError } from './src/prompt-templates.mjs';
+import { findPrice, estimateTokens, addUsage, addDailyUsage, formatUsage, UsageBudget, EMPTY_USAGE } from './src/usage.mjs';
+import { createNotifier } from './src/notifications.mjs';
+import { buildRunReport, summarizeReport, renderMarkdownReport, writeRunReport, createFileRunHistory, createMongoRunHistory } from './src/run-report.mjs';
+import { buildJobMetadata, validateJobMetadata, SKILLS } from './src/job-metadata.mjs';
+import { lintJob, formatLintIssue } from './src/content-lint.mjs';
+import { createFileStateStore, createMongoStateStore, acquireLockWithWait, StateLockError } from './src/state-store.mjs';
+import { loadGeneratorConfig } from './src/generator-config.mjs';
+import { createMongoEntitySource } from './src/entity-source.mjs';
+import { createContactResolver, createFileContactCache, createMongoContactCache } from './src/contact-resolver.mjs';
+import { createMongoJobSink, createFileJobSink, createStdoutJobSink, JOB_SINKS } from './src/job-sink.mjs';
+import { EXIT_CODES, UsageError, ConfigError } from './src/exit-codes.mjs';
+
+// The generation pipeline as a library. Importing this file has no side effects: build a
+// config with loadGeneratorConfig(), the MongoDB-backed dependencies with
+// createDefaultDependencies() (or your own), and call createGenerator(). cli.mjs does exactly that.
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
 
-config();
+// Completion limit assumed for budget reservations when a provider does not state one
+const DEFAULT_MAX_COMPLETION_TOKENS = 4000;
 
-const MONGODB_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
-const DB_NAME = process.env.MONGODB_DB_NAME || 'test';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-// Azure OpenAI configuration (optional alternative provider)
-const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT;
-const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
-// Support both AZURE_OPENAI_DEPLOYMENT and AZURE_OPENAI_DEPLOYMENT_NAME env keys
-const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT || process.env.AZURE_OPENAI_DEPLOYMENT_NAME; // deployment name
-const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview';
-const USE_AZURE_OPENAI = !!(AZURE_OPENAI_ENDPOINT && AZURE_OPENAI_API_KEY && AZURE_OPENAI_DEPLOYMENT);
+// Per-run spending caps (RUN_MAX_COST in USD, RUN_MAX_TOKENS); unset means no cap
+function parseBudgetLimit(value, integer = false) {
+  if (value === undefined || value === '') return null;
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit > 0 && (!integer || Number.isInteger(limit)) ? limit : NaN;
+}
 
-const STATE_FILE = join(__dirname, 'rotation-state.json');
-const TOTAL_ENTITIES = 13000;
 
-if (!MONGODB_URI) {
-  console.error('❌ MONGODB_URI not found');
-  process.exit(1);
+function determineSeniorityLevel(entityIndex, profile) {
+  const weights = Object.values(profile.seniority).map(c => c.weight);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const seed = entityIndex % totalWeight;
+  let currentWeight = 0;
+  
+  for (const [seniority, config] of Object.entries(profile.seniority)) {
+    currentWeight += config.weight;
+    if (seed < currentWeight) return seniority;
+  }
+  return Object.keys(profile.seniority)[0];
 }
 
-if (!OPENAI_API_KEY && !USE_AZURE_OPENAI) {
-  console.error('❌ No AI provider configured. Set OPENAI_API_KEY or Azure OpenAI vars (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT).');
-  process.exit(1);
+function generateSalary(config, random) {
+  const [min, max] = config.salaryRange;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
-// Initialize OpenAI client (supports Azure OpenAI when configured)
-const openai = USE_AZURE_OPENAI
-  ? new AzureOpenAI({
-      apiKey: AZURE_OPENAI_API_KEY,
-      endpoint: AZURE_OPENAI_ENDPOINT,
-      apiVersion: AZURE_OPENAI_API_VERSION,
-    })
-  : new OpenAI({ apiKey: OPENAI_API_KEY });
-
-// Job Schema
-const JobSchema = new mongoose.Schema({
-  title: { type: String },
-  slug: { type: String, unique: true, sparse: true },
-  description: { type: String, required: true },
-  companyName: { type: String },
-  type: { type: String },
-  salary: { type: Number },
-  country: { type: String },
-  state: { type: String },
-  city: { type: String },
-  countryId: { type: String },
-  stateId: { type: String },
-  cityId: { type: String },
-  postalCode: { type: Number },
-  street: { type: String },
-  jobIcon: { type: String },
-  contactName: { type: String },
-  contactPhone: { type: String },
-  contactEmail: { type: String },
-  applyLink: { type: String },
-  source: { type: String },
-  expiresOn: { type: String },
-  seniority: { type: String, enum: ["intern", "junior", "mid-level", "senior"], required: true },
-  userWorkosId: { type: String },
-  plan: { type: String, enum: ['pending', 'basic', 'pro', 'recruiter', 'unlimited'], default: 'pending' },
-  blockAIApplications: { type: Boolean, default: true }
-}, { timestamps: true });
-
-function generateSlug(title, companyName, id) {
-  const processString = (str) =>
-    (str || '').toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-').replace(/-+/g, '-').trim();
-  const titleSlug = processString(title) || 'untitled';
-  const companySlug = processString(companyName) || 'unknown-company';
-  const shortId = id.slice(-6);
-  return `${titleSlug}-at-${companySlug}-${shortId}`;
-}
+// Seniority-dependent wording used by the prompt templates
+const PROMPT_WORDING = {
+  'intern': { degree: "Bachelor's degree", workStyle: 'Eager to learn', opportunity: 'launch your career' },
+  'junior': { degree: "Master's degree", workStyle: 'Self-motivated', opportunity: 'develop your expertise' },
+  'mid-level': { degree: "Master's or PhD", workStyle: 'Proven leadership', opportunity: 'lead strategic initiatives' },
+  'senior': { degree: "Master's or PhD", workStyle: 'Proven leadership', opportunity: 'lead strategic initiatives' }
+};
 
-JobSchema.pre('save', function(next) {
-  if (this.isModified('title') || this.isModified('companyName') || !this.slug) {
-    this.slug = generateSlug(this.title, this.companyName, this._id.toString());
-  }
-  next();
-});
-
-const LobbyingEntitySchema = new mongoose.Schema({}, { collection: 'eu_interest_representatives', strict: false });
-
-function extractDomain(url) {
-  try {
-    if (!url) return '';
-    const urlWithProtocol = url.startsWith('http') ? url : `https://${url}`;
-    const domain = new URL(urlWithProtocol).hostname;
-    return domain.replace('www.', '');
-  } catch {
-    return '';
-  }
+// Everything a prompt template can reference as {{placeholder}}; see prompts/*.txt
+function buildPromptContext(entity, seniority, titlePrefix, { deadline, location, language, profile, startDate }) {
+  const entityName = entity.name || entity.originalName;
+  const config = profile.seniority[seniority];
+  const { name: languageName, locale, sections } = LANGUAGES[language];
+  const startMonth = startDate.toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const { type: contractType, durationMonths } = config.contract;
+  const contract = contractType === 'permanent' ? 'permanent contract' : `${durationMonths}-month ${contractType === 'internship' ? 'internship' : 'fixed-term contract'}`;
+
+  return {
+    entityName,
+    entity: {
+      description: entity.description || 'N/A',
+      goals: entity.goals || 'N/A',
+      focusAreas: entity.interests?.join(', ') || 'N/A',
+      category: entity.registrationCategory || 'N/A'
+    },
+    seniority,
+    titlePrefix,
+    experienceYears: config.experienceYears,
+    city: location.city,
+    country: getLocalizedCountryName(location.countryId, language, location.country),
+    salaryMin: config.salaryRange[0].toLocaleString(),
+    salaryMax: config.salaryRange[1].toLocaleString(),
+    languageName,
+    sections,
+    degree: PROMPT_WORDING[seniority].degree,
+    languageRequirement: language === 'en'
+      ? `English (C1+) and ${seniority === 'senior' ? 'French/German (C1+)' : 'preferably French or German (B2+)'}`
+      : `${languageName} (C1+) and English (C1+)`,
+    contract,
+    contractStart: `${contract.charAt(0).toUpperCase()}${contract.slice(1)} starting ${startMonth}`,
+    startMonth,
+    hybrid: config.officeDays === null ? 'flexible arrangement' : `${config.officeDays} days office, ${5 - config.officeDays} days remote`,
+    trainingBudget: config.trainingBudget.toLocaleString(),
+    leaveDays: config.leaveDays,
+    benefitLines: [...profile.benefits, ...(config.benefits || [])].map((benefit) => `- ${localizeText(benefit, 'en')}`).join('\n'),
+    workingLanguages: language === 'en' ? 'English and French/German' : `${languageName} and English`,
+    deadline: deadline.toLocaleDateString(locale),
+    workStyle: PROMPT_WORDING[seniority].workStyle,
+    opportunity: PROMPT_WORDING[seniority].opportunity,
+    skillVocabulary: SKILLS.join(', '),
+    languageInstruction: language === 'en' ? '' : `\nWrite the title and the entire description in ${languageName}. Use the section headings exactly as written above.\n`
+  };
 }
 
-function generateHREmail(domain) {
-  if (!domain) return '';
-  const prefixes = ['hr', 'recruiting', 'careers', 'jobs', 'talent', 'recruitment'];
-  return `${prefixes[Math.floor(Math.random() * prefixes.length)]}@${domain}`;
+// Per-entity line in the run report
+function toReportEntry(result) {
+  const entry = { entityId: result.entityId, entityName: result.entityName, durationMs: result.durationMs };
+  if (result.skipped) return { ...entry, outcome: 'skipped', error: `${result.skipped}: run budget reached` };
+  if (!result.success) return { ...entry, outcome: 'failed', error: result.error };
+  return {
+    ...entry,
+    outcome: result.generation.method,
+    seniority: result.seniority,
+    language: result.language,
+    attempts: result.generation.attempts,
+    usage: result.generation.usage,
+    error: result.generation.fallbackReason || null,
+    lintWarnings: result.generation.lintWarnings || []
+  };
 }
 
-function generateApplyLink(domain) {
-  return domain ? `https://${domain}/careers` : '';
+// Array indices are folded, so languageRequirements.0.level and .1.level count as one path
+function countByPath(counts, path) {
+  const key = path.replace(/\.\d+/g, '.*');
+  counts[key] = (counts[key] || 0) + 1;
 }
 
-const SENIORITY_CONFIG = {
-  'intern': { weight: 30, salaryRange: [18000, 24000], experienceYears: '0', titles: ['Intern', 'Trainee', 'Graduate Intern', 'Policy Intern', 'Research Intern'] },
-  'junior': { weight: 35, salaryRange: [35000, 50000], experienceYears: '1-3', titles: ['Junior', 'Associate', 'Analyst', 'Coordinator', 'Officer'] },
-  'mid-level': { weight: 25, salaryRange: [50000, 75000], experienceYears: '3-7', titles: ['Senior', 'Manager', 'Lead', 'Specialist', 'Advisor'] },
-  'senior': { weight: 10, salaryRange: [75000, 120000], experienceYears: '7+', titles: ['Senior Manager', 'Director', 'Head of', 'Principal', 'Senior Advisor'] }
-};
+function createRunId(now, random) {
+  const suffix = Math.floor(random() * 0x1000000).toString(16).padStart(6, '0');
+  return `run-${now.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}-${suffix}`;
+}
 
-class ParallelRateLimiter {
-  constructor(requestsPerSecond = 8) {
-    this.requestsPerSecond = requestsPerSecond;
-    this.tokens = requestsPerSecond;
-    this.lastRefill = Date.now();
-    this.queue = [];
+// Dependencies:
+//   config        - from loadGeneratorConfig()
+//   llm           - provider with complete(), name, model and maxTokens (see src/llm-providers.mjs)
+//   entitySource  - see src/entity-source.mjs
+//   jobSink       - see src/job-sink.mjs
+//   stateStore    - see src/state-store.mjs (only generateRotatedJobs() uses it)
+//   runHistory    - optional, see src/run-report.mjs
+//   contactResolver - see src/contact-resolver.mjs; the default makes no requests and links the homepage
+//   notifier      - optional, see src/notifications.mjs (only generateRotatedJobs() uses it)
+//   clock, random - the current time as a Date and a number in [0, 1); fix both for repeatable output
+function createGenerator({ config, llm, entitySource, jobSink, stateStore = null, runHistory = null, contactResolver = createContactResolver({ probe: false }), notifier = null, clock = () => new Date(), random = Math.random }) {
+  const price = findPrice(config.prices, llm.model);
+  const maxCompletionTokens = llm.maxTokens || DEFAULT_MAX_COMPLETION_TOKENS;
+  const rateLimiter = new AdaptiveRateLimiter(config.rateLimit);
+  // Named apart from the seniority `config` the functions below work with
+  const { repairAttempts, validation: validationOptions, lint: lintOptions, retry: retryOptions, dedupe: dedupeOptions } = config;
+  const { applicationDeadlineDays, lockTtlMs, lockWaitMs, reportsDir, stepSummaryFile } = config;
+  const defaultLanguage = config.language;
+  // Only used to check records against the schema, so it does not matter which connection it is on
+  const JobModel = getJobModel();
+
+  function lintPosting(job, entityName, config, details, finishReason = null) {
+    return lintJob(job, {
+      entityName,
+      salaryRange: config.salaryRange,
+      sections: getSectionHeadings(details.language),
+      finishReason
+    }, lintOptions);
   }
 
-  async acquire() {
-    return new Promise((resolve) => {
-      this.queue.push(resolve);
-      this.processQueue();
-    });
-  }
+  // Returns { jobData, attempts, errors, usage, lintFindings, lintWarnings }. jobData is null when every attempt failed
+  // validation or lint, the request itself failed, or lint rejected the posting (rejected is then set);
+  // errors explains why.
+  async function generateJobWithGPT(entity, seniority, details) {
+    const entityName = entity.name || entity.originalName;
+    const config = details.profile.seniority[seniority];
+    const titlePrefix = config.titles[Math.floor(random() * config.titles.length)];
+    const validation = { ...validationOptions, requiredSections: getSectionHeadings(details.language) };
+
+    const context = buildPromptContext(entity, seniority, titlePrefix, details);
+    const prompt = renderTemplate(details.variant.user, context);
+    const system = renderTemplate(details.variant.system, context);
+    const history = [];
+    const errors = [];
+    let usage = { ...EMPTY_USAGE };
+    // Every lint finding over all attempts, including the ones that were repaired
+    const lintFindings = [];
+    let user = prompt;
+
+    for (let attempt = 1; attempt <= repairAttempts + 1; attempt++) {
+      // Reserve the prompt plus a full-length answer; retries of a failed request share the reservation
+      const promptText = [system, ...history.map((message) => message.content), user].join('\n');
+      const reservation = details.budget.reserve(estimateTokens(promptText), maxCompletionTokens);
+      if (!reservation) {
+        errors.push(`attempt ${attempt}: run budget reached (${details.budget.describeLimit()})`);
+        return { jobData: null, attempts: attempt - 1, errors, usage, lintFindings, budgetExhausted: true };
+      }
 
-  processQueue() {
-    const now = Date.now();
-    const timePassed = now - this.lastRefill;
-    const tokensToAdd = Math.floor(timePassed * this.requestsPerSecond / 1000);
-    
-    if (tokensToAdd > 0) {
-      this.tokens = Math.min(this.requestsPerSecond, this.tokens + tokensToAdd);
-      this.lastRefill = now;
-    }
+      let response;
+      let finishReason = null;
+      try {
+        const completion = await withRetry(() => rateLimiter.schedule(() => llm.complete({
+          system,
+          user,
+          history,
+          mock: { entityName, seniority, titlePrefix, sections: validation.requiredSections }
+        })), {
+          ...retryOptions,
+          onRetry: (error, retry, delay) => {
+            console.log(`   🔁 Retry ${retry}/${retryOptions.retries} for ${entityName} in ${(delay / 1000).toFixed(1)}s (${getErrorStatus(error) || error.message})`);
+          }
+        });
+        response = completion.content;
+        finishReason = completion.finishReason;
+        // Some OpenAI-compatible servers omit usage; count those calls from the text length instead
+        usage = addUsage(usage, details.budget.record({
+          promptTokens: completion.usage?.prompt_tokens ?? estimateTokens(promptText),
+          completionTokens: completion.usage?.completion_tokens ?? estimateTokens(response)
+        }));
+      } catch (error) {
+        console.error(`❌ GPT generation failed: ${error.message}`);
+        errors.push(`attempt ${attempt}: request failed after ${error.retryAttempts || 0} retries: ${error.message}`);
+        return { jobData: null, attempts: attempt, errors, usage, lintFindings };
+      } finally {
+        details.budget.release(reservation);
+      }
 
-    while (this.queue.length > 0 && this.tokens > 0) {
-      this.tokens--;
-      this.queue.shift()();
-    }
+      const result = validateJobOutput(response, validation);
+      if (result.valid) {
+        const lint = lintPosting(result.job, entityName, config, details, finishReason);
+        lintFindings.push(...lint.issues);
+        if (lint.reject.length > 0) {
+          errors.push(`attempt ${attempt}: rejected by content lint: ${lint.reject.map(formatLintIssue).join('; ')}`);
+          return { jobData: null, attempts: attempt, errors, usage, lintFindings, rejected: lint.reject };
+        }
+        if (lint.regenerate.length === 0) {
+          return { jobData: result.job, attempts: attempt, errors, usage, lintFindings, lintWarnings: lint.warn };
+        }
+        result.errors = lint.regenerate.map(formatLintIssue);
+      }
 
-    if (this.queue.length > 0) {
-      setTimeout(() => this.processQueue(), 50);
+      errors.push(`attempt ${attempt}: ${result.errors.join('; ')}`);
+      // Keep the rejected answer in the conversation so the model repairs it rather than starting over
+      history.push({ role: 'user', content: user }, { role: 'assistant', content: response || '' });
+      user = buildRepairPrompt(result.errors, validation);
     }
-  }
-}
-
-const rateLimiter = new ParallelRateLimiter(8);
 
-function determineSeniorityLevel(entityIndex) {
-  const weights = Object.values(SENIORITY_CONFIG).map(c => c.weight);
-  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-  const seed = entityIndex % totalWeight;
-  let currentWeight = 0;
-  
-  for (const [seniority, config] of Object.entries(SENIORITY_CONFIG)) {
-    currentWeight += config.weight;
-    if (seed < currentWeight) return seniority;
+    return { jobData: null, attempts: repairAttempts + 1, errors, usage, lintFindings };
   }
-  return 'junior';
-}
-
-function generateSalary(seniority) {
-  const [min, max] = SENIORITY_CONFIG[seniority].salaryRange;
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
 
-async function generateJobWithGPT(entity, seniority) {
-  try {
-    await rateLimiter.acquire();
-    
+  function generateJobTemplate(entity, seniority, { deadline, location, language, profile, startDate }) {
     const entityName = entity.name || entity.originalName;
-    const config = SENIORITY_CONFIG[seniority];
-    const titlePrefix = config.titles[Math.floor(Math.random() * config.titles.length)];
-    
-    const prompt = `Generate a ${seniority} level job posting for: ${entityName}
-
-Organization details:
-- Description: ${entity.description || 'N/A'}
-- Goals: ${entity.goals || 'N/A'}
-- Focus areas: ${entity.interests?.join(', ') || 'N/A'}
-- Category: ${entity.registrationCategory || 'N/A'}
-
-Job requirements:
-- Seniority: ${seniority}
-- Experience: ${config.experienceYears} years
-- Title should include: ${titlePrefix}
-- Location: Brussels, Belgium
-- Salary: €${config.salaryRange[0].toLocaleString()}-${config.salaryRange[1].toLocaleString()} per year
-
-Create a detailed professional job posting inspired by this structure:
-
-ORGANIZATION OVERVIEW: Brief about the company and its mission (2-3 paragraphs)
-
-YOUR MISSION: What you'll be doing and why it matters (1-2 paragraphs)
-
-KEY RESPONSIBILITIES:
-- Lead specific initiatives with measurable outcomes
-- Monitor and analyze policy developments
-- Build and sustain networks
-- Coordinate meetings and stakeholder activities
-- [Add 4-6 more specific responsibilities]
-
-DELIVERABLES & KPIs:
-- Specific deliverable with quantity and timeline (e.g., "Produce 2 policy briefings monthly")
-- Measurable performance metrics (e.g., "Maintain 85% attendance at stakeholder meetings")
-- Quantifiable targets (e.g., "Complete 4 research projects quarterly")
-- [Add 3-5 more specific KPIs appropriate for ${seniority} level]
-
-REQUIREMENTS:
-- ${seniority === 'intern' ? "Bachelor's degree" : seniority === 'junior' ? "Master's degree" : "Master's or PhD"}
-- Language: English (C1+) and ${seniority === 'senior' ? 'French/German (C1+)' : 'preferably French or German (B2+)'}
-- ${config.experienceYears} years of relevant experience
-- Technical proficiency: [Specify tools/software]
-- EU work authorization required
-- [Add 2-4 more specific requirements]
-
-WHAT WE OFFER:
-- Competitive salary: €${config.salaryRange[0].toLocaleString()}-€${config.salaryRange[1].toLocaleString()} per year
-- ${seniority === 'intern' ? '6-month internship program starting February 2025' : 'Permanent contract starting Q1 2025'}
-- Flexible working hours and hybrid work model (${seniority === 'senior' ? 'flexible arrangement' : '3 days office, 2 days remote'})
-- Professional development: €${seniority === 'intern' ? '1,000' : seniority === 'junior' ? '2,500' : seniority === 'mid-level' ? '5,000' : '10,000'} annual training budget
-- ${seniority === 'intern' ? '20' : seniority === 'junior' ? '25' : '30'} days annual leave
-- Health insurance and ${seniority === 'mid-level' || seniority === 'senior' ? 'performance bonuses' : 'benefits package'}
-- Conference attendance and networking opportunities
-- [Add 2-3 more specific benefits]
-
-LOGISTICS & APPLICATION:
-- Start date: ${seniority === 'intern' ? 'February 2025 (6-month program)' : 'March 2025 (permanent)'}
-- Working languages: English and French/German
-- Location: Brussels office with hybrid flexibility
-- Application deadline: ${new Date(Date.now() + 30*24*60*60*1000).toLocaleDateString('en-GB')}
-- Interview process: Application screening → Competency interview → Case study → Final panel
-- Decision within 2 weeks of final interview
-
-ABOUT YOU:
-- Strong analytical and communication skills
-- Strategic mindset with ability to identify opportunities
-- ${seniority === 'intern' ? 'Eager to learn' : seniority === 'junior' ? 'Self-motivated' : 'Proven leadership'} and collaborative approach
-- Deep knowledge of EU institutions and policy processes
-- [Add 2-3 more personal qualities]
-
-This is an exceptional opportunity to ${seniority === 'intern' ? 'launch your career' : seniority === 'junior' ? 'develop your expertise' : 'lead strategic initiatives'} in Brussels' dynamic EU policy ecosystem.
-
-${entityName} is an Equal Opportunity Employer committed to diversity and inclusion.
-
-Please submit your application (CV, cover letter, and policy writing sample) by the deadline above.
-
-Required JSON format:
-{
-  "title": "Specific job title with ${titlePrefix}",
-  "description": "Complete 2500-4000 word description following the structure above with org overview, mission, responsibilities, deliverables & KPIs, requirements, benefits, logistics, and about you sections"
-}`;
-
-    const completion = await openai.chat.completions.create({
-      // For Azure OpenAI, deployment is set in the client; for OpenAI, we specify the model
-      model: USE_AZURE_OPENAI ? AZURE_OPENAI_DEPLOYMENT : "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: `You are a recruiting copywriter specializing in EU policy jobs. Create comprehensive, detailed job postings inspired by high-quality corporate job ads. Output ONLY valid JSON. No disclaimers, no generic phrases, no emojis. Be specific and concrete with measurable deliverables and KPIs appropriate for ${seniority} level positions. Make descriptions 2500-4000 words with rich detail.`
-        },
-        { role: "user", content: prompt }
-      ],
-      temperature: 0.7,
-      max_tokens: 4000,
+    const config = profile.seniority[seniority];
+    const titlePrefix = config.titles[Math.floor(random() * config.titles.length)];
+    const { locale, sections } = LANGUAGES[language];
+
+    return renderJobTemplate(language, sections, {
+      entityName,
+      seniority,
+      titlePrefix,
+      experienceYears: config.experienceYears,
+      category: entity.registrationCategory,
+      description: entity.description,
+      goals: entity.goals,
+      focus: entity.interests?.slice(0, 3).join(', '),
+      city: location.city,
+      country: getLocalizedCountryName(location.countryId, language, location.country),
+      salaryMin: config.salaryRange[0].toLocaleString(locale),
+      salaryMax: config.salaryRange[1].toLocaleString(locale),
+      deadline: deadline.toLocaleDateString(locale),
+      contract: config.contract,
+      startMonth: startDate.toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+      officeDays: config.officeDays,
+      leaveDays: config.leaveDays,
+      benefits: [...profile.benefits, ...(config.benefits || [])].map((benefit) => localizeText(benefit, language))
     });
-
-    const response = completion.choices[0]?.message?.content;
-    if (!response) throw new Error('No response from GPT');
-
-    const cleanResponse = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    return JSON.parse(cleanResponse);
-  } catch (error) {
-    console.error(`❌ GPT generation failed: ${error.message}`);
-    return null;
   }
-}
 
-function generateJobTemplate(entity, seniority) {
-  const entityName = entity.name || entity.originalName;
-  const config = SENIORITY_CONFIG[seniority];
-  const titlePrefix = config.titles[Math.floor(Math.random() * config.titles.length)];
-  
-  const title = `${titlePrefix} - ${entity.registrationCategory || 'EU Affairs'} at ${entityName}`;
-  
-  const description = `${entityName} is seeking a ${seniority} level professional for an exciting opportunity in Brussels, Belgium.
-
-ABOUT ${entityName}:
-${entity.description || `${entityName} is a leading organization in the EU policy landscape, committed to excellence in ${entity.registrationCategory || 'public affairs'}.`}
-
-YOUR MISSION:
-As ${titlePrefix}, you will play a key role in our Brussels operations, contributing to ${entity.goals || 'our strategic objectives'} with focus on ${entity.interests?.slice(0, 3).join(', ') || 'EU policy engagement'}.
-
-KEY RESPONSIBILITIES:
-- Lead policy analysis and advocacy initiatives with measurable impact
-- Monitor and report on EU legislative and regulatory developments
-- Build and maintain relationships with key EU stakeholders
-- Coordinate meetings, events, and stakeholder consultations
-- Contribute to organizational strategy and business development
-- Represent the organization in EU forums and working groups
-
-DELIVERABLES & KPIs:
-- Produce ${seniority === 'intern' ? '2 policy briefings monthly' : seniority === 'junior' ? '3 policy analyses quarterly' : seniority === 'mid-level' ? '5 major policy campaigns annually' : '10+ strategic initiatives per year'}
-- Achieve ${seniority === 'intern' ? '85%' : seniority === 'junior' ? '90%' : '95%'}+ stakeholder satisfaction ratings
-- Maintain consistent engagement with ${seniority === 'intern' ? '10+' : seniority === 'junior' ? '15+' : seniority === 'mid-level' ? '25+' : '50+'} key stakeholders
-- Complete deliverables with ${seniority === 'intern' ? '90%' : '95%'}+ accuracy rate
-
-REQUIREMENTS:
-- ${seniority === 'intern' ? "Bachelor's degree" : "Master's degree or higher"} in Political Science, European Studies, Law, or related field
-- ${config.experienceYears} years of professional experience in EU policy or related field
-- Fluent English (C1+) and preferably French or German (B2+)
-- Strong analytical, communication, and organizational skills
-- Proficiency in EU databases, CRM systems, and Microsoft Office
-- EU work authorization required
-
-WHAT WE OFFER:
-- Competitive salary: €${config.salaryRange[0].toLocaleString()}-€${config.salaryRange[1].toLocaleString()} per year
-- ${seniority === 'intern' ? '6-month internship starting February 2025' : 'Permanent contract starting March 2025'}
-- Flexible working hours with hybrid work model
-- Professional development budget and training opportunities
-- ${seniority === 'intern' ? '20' : seniority === 'junior' ? '25' : '30'} days annual leave
-- Health insurance and benefits package
-- Conference attendance and networking opportunities
-
-LOGISTICS:
-- Location: Brussels, Belgium (hybrid: ${seniority === 'senior' ? 'flexible' : '3 days office, 2 days remote'})
-- Working languages: English and French/German
-- Start date: ${seniority === 'intern' ? 'February 2025' : 'March 2025'}
-- Application deadline: ${new Date(Date.now() + 30*24*60*60*1000).toLocaleDateString('en-GB')}
-
-This is an excellent opportunity to ${seniority === 'intern' ? 'gain valuable experience' : seniority === 'junior' ? 'develop your career' : 'make strategic impact'} in Brussels' vibrant EU policy ecosystem.
-
-${entityName} is an Equal Opportunity Employer committed to diversity and inclusion.
-
-Please submit your application (CV and cover letter) by the deadline above.`;
-  
-  return { title, description };
-}
-
-async function processEntity(entity, entityIndex) {
-  const entityName = entity.name || entity.originalName;
+  // `seniority` overrides the level the profile's mix would give this entity (used by preview)
+  async function processEntity(entity, entityIndex, { runId, languageSetting, profile, runDate, prompts, budget, onBudgetExhausted, seniority: fixedSeniority = null }) {
+    const entityName = entity.name || entity.originalName;
+    const entityId = entity._id.toString();
+    const startedAt = clock().getTime();
   
-  try {
-    const seniority = determineSeniorityLevel(entityIndex);
-    const domain = extractDomain(entity.webSiteURL);
+    try {
+      const seniority = fixedSeniority || determineSeniorityLevel(entityIndex, profile);
+      const config = profile.seniority[seniority];
     
-    let jobData = await generateJobWithGPT(entity, seniority);
-    let gptSuccess = !!jobData;
+      const deadline = new Date(clock().getTime() + applicationDeadlineDays * 24 * 60 * 60 * 1000);
+      // Resolved once so the prompt, the template and the stored record all agree
+      const location = resolveLocation(entity);
+      const language = resolveLanguage(languageSetting, location);
+      const variant = prompts.variants[pickVariant(prompts.split, `${runId}:${entity._id}`)];
+      // Drawn before generation so the salary lint rule can compare it with the text
+      const salary = generateSalary(config, random);
+      const details = { deadline, location, language, profile, startDate: getStartDate(config.contract, runDate), variant, budget, salary };
+      const llmResult = await generateJobWithGPT(entity, seniority, details);
+      // Entities that never got an LLM call once the budget ran out are left alone in skip mode
+      if (llmResult.budgetExhausted && llmResult.attempts === 0 && onBudgetExhausted === 'skip') {
+        return { success: false, skipped: 'budget', entityName, entityId, durationMs: clock().getTime() - startedAt };
+      }
+      if (llmResult.rejected) {
+        return {
+          success: false, error: llmResult.errors[llmResult.errors.length - 1], lintRejected: llmResult.rejected, lintFindings: llmResult.lintFindings,
+          entityName, entityId, seniority, gptSuccess: false, durationMs: clock().getTime() - startedAt
+        };
+      }
+      let jobData = llmResult.jobData;
+      let lintWarnings = llmResult.lintWarnings || [];
+      const lintFindings = [...llmResult.lintFindings];
+      const gptSuccess = !!jobData;
+      const generation = {
+        method: llmResult.attempts > 1 ? 'llm-repaired' : 'llm',
+        provider: llm.name,
+        model: llm.model,
+        attempts: llmResult.attempts,
+        runId,
+        promptVariant: variant.name,
+        promptVersion: formatPromptVersion(variant),
+        usage: llmResult.usage,
+        validationErrors: llmResult.errors
+      };
     
-    if (!jobData) {
-      jobData = generateJobTemplate(entity, seniority);
+      if (!jobData) {
+        jobData = generateJobTemplate(entity, seniority, details);
+        generation.method = 'template';
+        generation.fallbackReason = llmResult.errors[llmResult.errors.length - 1] || 'no valid LLM output';
+        // A template posting cannot be regenerated, so rules set to regenerate drop it as well
+        const lint = lintPosting(jobData, entityName, config, details);
+        const blocking = [...lint.reject, ...lint.regenerate];
+        if (blocking.length > 0) {
+          return {
+            success: false, error: `template rejected by content lint: ${blocking.map(formatLintIssue).join('; ')}`, lintRejected: blocking,
+            lintFindings: [...lintFindings, ...lint.issues],
+            entityName, entityId, seniority, gptSuccess: false, durationMs: clock().getTime() - startedAt
+          };
+        }
+        lintWarnings = lint.warn;
+        lintFindings.push(...lint.issues);
+      }
+      if (lintWarnings.length > 0) generation.lintWarnings = lintWarnings.map(formatLintIssue);
+
+      const { metadata, unknownSkills } = buildJobMetadata({ interests: entity.interests, seniority, config, language, skills: jobData.skills });
+      const metadataErrors = validateJobMetadata(metadata);
+      if (metadataErrors.length > 0) throw new Error(`invalid job metadata: ${metadataErrors.join('; ')}`);
+      if (unknownSkills.length > 0) generation.droppedSkills = unknownSkills;
+
+      // Slug suffix comes from the job's own _id (as in the pre-save hook), so repeat jobs for an entity get distinct slugs
+      const jobId = new mongoose.Types.ObjectId();
+      const jobRecord = {
+        _id: jobId,
+        title: jobData.title,
+        description: jobData.description,
+        companyName: entityName,
+        entityId,
+        seniority: seniority,
+        language,
+        type: 'Full-time',
+        ...metadata,
+        country: location.country,
+        city: location.city,
+        state: '',
+        countryId: location.countryId,
+        stateId: '',
+        cityId: location.cityId,
+        postalCode: location.postalCode,
+        street: location.street,
+        ...(await contactResolver.resolve(entity, { random })),
+        plan: 'basic',
+        source: JOB_SOURCE,
+        expiresOn: deadline.toISOString(),
+        blockAIApplications: false,
+        salary: salary,
+        slug: generateSlug(jobData.title, entityName, jobId.toString()),
+        generation,
+        profile: { name: profile.name, version: profile.version },
+      };
+
+      return { success: true, jobRecord, seniority, language, gptSuccess, generation, lintFindings, locationSource: location.source, entityName, entityId, durationMs: clock().getTime() - startedAt };
+    } catch (error) {
+      return { success: false, error: error.message, entityName, entityId, seniority: null, gptSuccess: false, durationMs: clock().getTime() - startedAt };
     }
+  }
 
-    const salary = generateSalary(seniority);
-    const jobRecord = {
-      title: jobData.title,
-      description: jobData.description,
-      companyName: entityName,
-      seniority: seniority,
-      type: 'Full-time',
-      remote: 'Hybrid',
-      country: 'Belgium',
-      city: 'Brussels',
-      state: '',
-      countryId: 'BE',
-      stateId: '',
-      cityId: 'brussels',
-      postalCode: '1000',
-      street: '',
-      contactEmail: generateHREmail(domain),
-      applyLink: generateApplyLink(domain),
-      plan: 'basic',
-      source: 'scheduled-rotated-generator',
-      blockAIApplications: false,
-      salary: salary,
-      slug: generateSlug(jobData.title, entityName, entity._id.toString()),
-    };
-
-    return { success: true, jobRecord, seniority, gptSuccess, entityName };
-  } catch (error) {
-    return { success: false, error: error.message, entityName, seniority: null, gptSuccess: false };
+  // Reports are a by-product: a failure to write them is logged but never fails the run
+  async function saveRunReport(report) {
+    try {
+      if (reportsDir) {
+        const paths = writeRunReport(report, reportsDir);
+        console.log(`📝 Report: ${paths.json}, ${paths.markdown}`);
+      }
+      if (stepSummaryFile) appendFileSync(stepSummaryFile, `${renderMarkdownReport(report, { maxProblems: 20 })}\n`);
+    } catch (error) {
+      console.log(`⚠️  Could not write run report: ${error.message}`);
+    }
+    if (!runHistory) return;
+    try {
+      await runHistory.append(summarizeReport(report));
+    } catch (error) {
+      console.log(`⚠️  Could not add the run to the history: ${error.message}`);
+    }
   }
-}
 
-// State management
-function loadState() {
-  if (existsSync(STATE_FILE)) {
-    const data = readFileSync(STATE_FILE, 'utf8');
-    return JSON.parse(data);
+  // Notifications are a by-product too: the notifier logs what it could not deliver. Returns the alerts raised.
+  async function notifyFinish(report) {
+    if (!notifier) return [];
+    const alerts = await notifier.finish(summarizeReport(report));
+    for (const alert of alerts) console.log(`🚨 Alert: ${alert.message}`);
+    return alerts;
   }
-  return { currentIndex: 0, lastRun: null, totalGenerated: 0 };
-}
 
-function saveState(state) {
-  writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-}
+  async function generateRotatedJobs(count, { resume = false, language = defaultLanguage, profile = loadProfile(DEFAULT_PROFILE), profileSource = DEFAULT_PROFILE, prompts = loadPromptVariants(), budget: budgetLimits = { maxCost: null, maxTokens: null, onExhausted: 'template' }, selection = buildSelection(), dryRun = false } = {}) {
+    console.log(`🚀 === SCHEDULED ROTATED JOB GENERATION ===\n`);
+    // A dry run reads the state but never saves it, so it takes no lock and leaves no checkpoint
+    if (dryRun) console.log('🧪 Dry run: jobs are generated but not stored, and the rotation state is not saved\n');
+
+    const stats = {
+      total: 0,
+      processed: 0,
+      successful: 0,
+      failed: 0,
+      gptSuccessful: 0,
+      gptRepaired: 0,
+      templateFallback: 0,
+      skipped: 0,
+      skippedByReason: {},
+      inserted: 0,
+      insertFailed: 0,
+      slugsRegenerated: 0,
+      locationFallback: 0,
+      startTime: clock().getTime(),
+      bySeniority: { 'intern': 0, 'junior': 0, 'mid-level': 0, 'senior': 0 },
+      byLanguage: {},
+      byPromptVariant: {},
+      usage: { ...EMPTY_USAGE },
+      budgetExhausted: false,
+      lintRejected: 0,
+      lintWarned: 0,
+      // Findings per rule and action, including the ones the model repaired
+      lintByRule: {},
+      // Schema conformance: records not inserted because of invalid fields, and counts of dropped
+      // (unknown) and coerced fields by path
+      schema: { invalid: 0, unknown: {}, coerced: {} },
+      dryRun
+    };
 
-async function generateRotatedJobs(count) {
-  console.log(`🚀 === SCHEDULED ROTATED JOB GENERATION ===\n`);
-  console.log(`📊 Generating ${count} jobs with rotation through ${TOTAL_ENTITIES} entities`);
-  
-  const state = loadState();
-  console.log(`📍 Starting from entity index: ${state.currentIndex}`);
-  console.log(`📈 Total jobs generated historically: ${state.totalGenerated}\n`);
-
-  const stats = {
-    total: 0,
-    processed: 0,
-    successful: 0,
-    failed: 0,
-    gptSuccessful: 0,
-    templateFallback: 0,
-    startTime: Date.now(),
-    bySeniority: { 'intern': 0, 'junior': 0, 'mid-level': 0, 'senior': 0 }
-  };
+    const lockOwner = `${hostname()}:${process.pid}:${randomBytes(3).toString('hex')}`;
+    let store = null;
+    let run = null;
+    const report = { entities: [], batches: [], insertErrors: [] };
+    const finishReport = (status, error = null) => buildRunReport({
+      run, resumed: resume, startedAt: new Date(stats.startTime), status, error, stats,
+      options: {
+        requested: run.requested, language: run.language, profile: run.profile, promptSplit: run.promptSplit,
+        budget: run.budget, selection: run.selection && { strategy: run.selection.strategy, filters: run.selection.filters },
+        provider: llm.name, model: llm.model
+      },
+      ...report
+    });
+    let lockHeld = false;
+    let lockLost = null;
+    let heartbeat = null;
+
+    try {
+      if (!stateStore) throw new Error('generateRotatedJobs() needs a stateStore');
+      store = stateStore;
+      if (!dryRun) {
+        try {
+          await acquireLockWithWait(store, lockOwner, { ttlMs: lockTtlMs, waitMs: lockWaitMs });
+        } catch (error) {
+          if (!(error instanceof StateLockError)) throw error;
+          console.log(`⏭️  Another run is in progress (${error.message}). Not starting.`);
+          return { status: 'locked', lockHolder: error.holder || null };
+        }
+        lockHeld = true;
+        console.log(`🔒 Acquired state lock (${store.name}: ${store.location})`);
+
+        // Keep the lease alive during long batches; a failed renewal stops the run at the next checkpoint
+        heartbeat = setInterval(() => {
+          store.renewLock(lockOwner, lockTtlMs).catch((error) => { lockLost = error; });
+        }, Math.max(1000, lockTtlMs / 3));
+        heartbeat.unref();
+      }
+
+      const saveState = async (state) => {
+        if (dryRun) return;
+        if (lockLost) throw lockLost;
+        await store.renewLock(lockOwner, lockTtlMs);
+        await store.save(state);
+      };
+
+      const state = await store.load();
+      const interrupted = state.activeRun || null;
+
+      if (resume && !interrupted) {
+        console.log('ℹ️  No interrupted run found in state, nothing to resume');
+        return { status: 'nothing-to-resume' };
+      }
+      if (!resume && interrupted) {
+        console.log(`⚠️  Run ${interrupted.runId} was interrupted after ${interrupted.processed}/${interrupted.requested} entities.`);
+        console.log('   Its progress is checkpointed; starting a new run from there (use --resume to finish it instead)\n');
+      }
+
+      // activeRun is the checkpoint: it is written at start and after every batch, and cleared on completion
+      run = resume ? interrupted : {
+        runId: createRunId(clock(), random),
+        startedAt: clock().toISOString(),
+        requested: count,
+        language,
+        profile: { name: profile.name, version: profile.version, source: profileSource },
+        promptSplit: prompts.split,
+        budget: budgetLimits,
+        // Strategies other than sequential fill in entityIds when the run starts; next is the first id not yet processed
+        selection: { strategy: selection.strategy, filters: selection.filters, weights: selection.weights, entityIds: null, next: 0 },
+        usage: { ...EMPTY_USAGE },
+        processed: 0,
+        successful: 0,
+        completedBatches: 0
+      };
+      run.lastCheckpoint = clock().toISOString();
+      state.activeRun = run;
+      await saveState(state);
+
+      const remaining = run.requested - run.processed;
+      // A resumed run keeps the language and profile it was started with
+      const languageSetting = run.language || DEFAULT_LANGUAGE;
+      const runProfile = resume && run.profile ? loadProfile(run.profile.source || run.profile.name) : profile;
+      if (resume && run.profile && runProfile.version !== run.profile.version) {
+        console.log(`⚠️  Profile ${runProfile.name} changed from v${run.profile.version} to v${runProfile.version} since the run started`);
+      }
+      const runPrompts = resume && run.promptSplit
+        ? loadPromptVariants({ split: Object.entries(run.promptSplit).map(([name, percent]) => `${name}:${percent}`).join(',') })
+        : prompts;
+      // The budget covers the whole run, so a resumed run continues from what it had already spent
+      const runBudget = run.budget || budgetLimits;
+      const budget = new UsageBudget({ maxCost: runBudget.maxCost, maxTokens: runBudget.maxTokens, price, spent: run.usage || EMPTY_USAGE });
+      let checkpointUsage = budget.spent;
+      // Checkpoints from before selection strategies existed walk the main rotation
+      const runSelection = run.selection || { ...buildSelection(), entityIds: null, next: 0 };
+      // Only unfiltered sequential runs move the shared rotation cursor; filtered ones keep a cursor per filter set
+      const mainRotation = runSelection.strategy === 'sequential' && !hasFilters(runSelection.filters);
+      const entityFilter = buildEntityFilter(runSelection.filters);
+      // Start dates are relative to when the run started (runDate), so a resumed run advertises the same months
+      const runOptions = {
+        runId: run.runId, languageSetting, profile: runProfile, runDate: new Date(run.startedAt), prompts: runPrompts,
+        budget, onBudgetExhausted: runBudget.onExhausted
+      };
+      if (resume) {
+        console.log(`♻️  Resuming run ${run.runId}: ${run.processed}/${run.requested} entities already done`);
+      } else {
+        console.log(`🆔 Run ID: ${run.runId}`);
+      }
+      console.log(`📊 Generating ${remaining} jobs`);
+      console.log(`🌐 Language: ${languageSetting === 'auto' ? 'auto (from head-office country)' : LANGUAGES[languageSetting].name}`);
+      console.log(`📋 Profile: ${runProfile.name} v${runProfile.version}`);
+      console.log(`📝 Prompts: ${Object.entries(runPrompts.split).map(([name, percent]) => `${formatPromptVersion(runPrompts.variants[name])} ${percent}%`).join(', ')}`);
+      console.log(`💰 Budget: ${budget.describeLimit()}${budget.limited ? `, then ${runBudget.onExhausted === 'skip' ? 'skip remaining entities' : 'template for remaining entities'}` : ''}`);
+      if (budget.spent.calls > 0) console.log(`💰 Already spent: ${formatUsage(budget.spent)}`);
+      console.log(`🎯 Selection: ${describeSelection(runSelection)}`);
+      console.log(`💾 Output: ${dryRun ? 'none (dry run)' : `${jobSink.name} (${jobSink.location})`}`);
+      if (notifier && !dryRun) {
+        await notifier.start({
+          runId: run.runId, resumed: resume, requested: run.requested, remaining, language: languageSetting,
+          profile: `${runProfile.name} v${runProfile.version}`, selection: describeSelection(runSelection)
+        });
+      }
+      if (mainRotation) console.log(`📍 Starting after entity ${state.cursor || '(beginning)'} - cycle ${state.cycle}, position ${state.currentIndex}`);
+      console.log(`📈 Total jobs generated historically: ${state.totalGenerated}\n`);
 
-  try {
-    await mongoose.connect(MONGODB_URI, { bufferCommands: false, dbName: DB_NAME });
-    console.log('✅ Connected to database\n');
-    
-    const JobModel = mongoose.models?.Job || mongoose.model('Job', JobSchema);
-    const LobbyingEntityModel = mongoose.models?.LobbyingEntity || mongoose.model('LobbyingEntity', LobbyingEntitySchema);
     
-    // Get entities starting from current index
-    const entities = await LobbyingEntityModel.find({
-      $or: [
-        { name: { $exists: true, $ne: '' } },
-        { originalName: { $exists: true, $ne: '' } }
-      ],
-      webSiteURL: { $exists: true, $ne: '' }
-    })
-    .skip(state.currentIndex)
-    .limit(count)
-    .lean();
-
-    stats.total = entities.length;
-    console.log(`✅ Found ${stats.total} entities to process\n`);
-
-    if (stats.total === 0) {
-      console.log('⚠️  Reached end of entities, resetting to beginning');
-      state.currentIndex = 0;
-      saveState(state);
-      return stats;
-    }
+      // The cycle length is whatever is eligible right now, so added or removed entities are picked up
+      state.eligibleCount = await entitySource.count(ELIGIBLE_ENTITY_FILTER);
+      console.log(`🔄 Rotation through ${state.eligibleCount} eligible entities`);
+
+      if (!state.cursor && state.currentIndex > 0) {
+        state.cursor = await entitySource.cursorAt(state.currentIndex);
+        console.log(`⚠️  Migrated legacy index ${state.currentIndex} to cursor ${state.cursor || '(beginning)'}`);
+        if (!state.cursor) state.currentIndex = 0;
+      }
 
-    // Process in batches
-    const batchSize = 50;
-    const concurrency = 10;
-    const totalBatches = Math.ceil(stats.total / batchSize);
+      if (!mainRotation) {
+        console.log(`🎯 ${await entitySource.count(entityFilter)} entities match the selection filters`);
+      }
 
-    for (let i = 0; i < stats.total; i += batchSize) {
-      const batch = entities.slice(i, i + batchSize);
-      const batchNum = Math.floor(i / batchSize) + 1;
+      let entities;
+      let wrapAt;
+      const selectionKey = filterKey(runSelection.filters);
+      if (runSelection.strategy === 'sequential') {
+        // Get entities after the cursor in _id order, wrapping around into the next cycle
+        const cursor = mainRotation ? state.cursor : state.selectionCursors?.[selectionKey] || null;
+        ({ entities, wrapAt } = await entitySource.fetchWindow(cursor, remaining, entityFilter));
+      } else {
+        // Picked once per run and checkpointed, so a resumed run finishes the same entities
+        if (!runSelection.entityIds) {
+          const candidates = await entitySource.listCandidates(entityFilter, Object.keys(runSelection.weights || {}));
+          const lastPosted = runSelection.strategy === 'least-recent' && jobSink.lastPostedByEntity ? await jobSink.lastPostedByEntity(JOB_SOURCE) : undefined;
+          runSelection.entityIds = selectEntityIds(candidates, runSelection, { limit: run.requested, seed: run.runId, lastPosted });
+          await saveState(state);
+        }
+        entities = await entitySource.fetchByIds(runSelection.entityIds.slice(runSelection.next));
+        wrapAt = entities.length;
+      }
+
+      stats.total = entities.length;
+      console.log(`✅ Found ${stats.total} entities to process`);
+      if (mainRotation && wrapAt < entities.length) {
+        console.log(`🔁 Cycle ${state.cycle} ends after ${wrapAt} entities, cycle ${state.cycle + 1} starts in this run`);
+      }
+      console.log('');
+
+      if (stats.total === 0) {
+        console.log('⚠️  No eligible entities found');
+        state.activeRun = null;
+        await saveState(state);
+        stats.status = 'no-entities';
+        return stats;
+      }
+
+      // Process in batches
+      const batchSize = 50;
+      const concurrency = 10;
+      const totalBatches = Math.ceil(stats.total / batchSize);
+      const startCycle = state.cycle;
+      const startPosition = mainRotation ? state.currentIndex : run.processed;
+      // Position (1-based) and cycle of entities[k], accounting for the wrap-around; outside the
+      // main rotation the position is the entity's place in the run, which drives the seniority mix
+      const positionOf = (k) => (k < wrapAt ? startPosition + k + 1 : k - wrapAt + 1);
+      const cycleOf = (k) => (k < wrapAt ? startCycle : startCycle + 1);
+
+      // Index of the first entity the checkpoints have not passed yet
+      let checkpointed = 0;
+      for (let i = 0; i < stats.total; i += batchSize) {
+        if (stats.budgetExhausted && runBudget.onExhausted === 'skip') break;
+        const batch = entities.slice(i, i + batchSize);
+        const batchNum = Math.floor(i / batchSize) + 1;
+        const batchStartedAt = clock().getTime();
       
-      console.log(`\n📦 Batch ${batchNum}/${totalBatches} (jobs ${i + 1}-${Math.min(i + batchSize, stats.total)})`);
+        console.log(`\n📦 Batch ${batchNum}/${totalBatches} (jobs ${i + 1}-${Math.min(i + batchSize, stats.total)})`);
       
-      const promises = [];
-      for (let j = 0; j < batch.length; j += concurrency) {
-        const chunk = batch.slice(j, j + concurrency);
-        const chunkPromises = chunk.map((entity, idx) => 
-          processEntity(entity, state.currentIndex + i + j + idx)
-        );
-        promises.push(Promise.all(chunkPromises));
-      }
+        // Skip entities on cooldown or at their active-job cap before spending tokens on them
+        const now = clock();
+        const activity = jobSink.findActivity
+          ? await jobSink.findActivity(batch, { source: JOB_SOURCE, activeDays: dedupeOptions.activeDays, now })
+          : new Map();
+        const candidates = [];
+        batch.forEach((entity, k) => {
+          const reason = getSkipReason(activity.get(entity._id.toString()), dedupeOptions, now);
+          if (reason) {
+            const reasonKey = reason.split(':')[0];
+            stats.skipped++;
+            stats.skippedByReason[reasonKey] = (stats.skippedByReason[reasonKey] || 0) + 1;
+            report.entities.push({ entityId: entity._id.toString(), entityName: entity.name || entity.originalName, outcome: 'skipped', error: reason });
+            console.log(`   ⏭️  Skipped ${entity.name || entity.originalName}: ${reason}`);
+          } else {
+            candidates.push({ entity, index: i + k });
+          }
+        });
+
+        const promises = [];
+        for (let j = 0; j < candidates.length; j += concurrency) {
+          const chunk = candidates.slice(j, j + concurrency);
+          const chunkPromises = chunk.map(({ entity, index }) =>
+            processEntity(entity, positionOf(index) - 1, runOptions)
+          );
+          promises.push(Promise.all(chunkPromises));
+        }
       
-      const results = (await Promise.all(promises)).flat();
-      const jobsToInsert = [];
+        const results = (await Promise.all(promises)).flat();
+        const jobsToInsert = [];
+        const reportEntries = new Map();
       
-      for (const result of results) {
-        stats.processed++;
+        for (const result of results) {
+          const entry = toReportEntry(result);
+          report.entities.push(entry);
+          if (result.skipped) {
+            stats.skipped++;
+            stats.skippedByReason[result.skipped] = (stats.skippedByReason[result.skipped] || 0) + 1;
+            continue;
+          }
+          stats.processed++;
+          for (const issue of result.lintFindings || []) {
+            stats.lintByRule[issue.rule] ||= {};
+            stats.lintByRule[issue.rule][issue.action] = (stats.lintByRule[issue.rule][issue.action] || 0) + 1;
+          }
         
-        if (result.success) {
-          stats.successful++;
-          stats.bySeniority[result.seniority]++;
-          result.gptSuccess ? stats.gptSuccessful++ : stats.templateFallback++;
-          jobsToInsert.push(result.jobRecord);
-        } else {
-          stats.failed++;
-          console.log(`   ❌ Error: ${result.entityName}: ${result.error}`);
+          if (result.success) {
+            stats.successful++;
+            stats.bySeniority[result.seniority]++;
+            stats.byLanguage[result.language] = (stats.byLanguage[result.language] || 0) + 1;
+            stats.byPromptVariant[result.generation.promptVariant] = (stats.byPromptVariant[result.generation.promptVariant] || 0) + 1;
+            stats.usage = addUsage(stats.usage, result.generation.usage);
+            result.gptSuccess ? stats.gptSuccessful++ : stats.templateFallback++;
+            if (result.generation.method === 'llm-repaired') stats.gptRepaired++;
+            if (result.locationSource === 'fallback') stats.locationFallback++;
+            if (result.generation.method === 'template') {
+              console.log(`   ⚠️  Template used for ${result.entityName}: ${result.generation.fallbackReason}`);
+            }
+            jobsToInsert.push(result.jobRecord);
+            reportEntries.set(result.jobRecord, entry);
+            if (result.generation.lintWarnings) stats.lintWarned++;
+          } else {
+            stats.failed++;
+            if (result.lintRejected) stats.lintRejected++;
+            console.log(`   ❌ Error: ${result.entityName}: ${result.error}`);
+          }
         }
-      }
       
-      if (jobsToInsert.length > 0) {
-        try {
-          await JobModel.insertMany(jobsToInsert, { ordered: false });
-        } catch (error) {
-          console.log(`   ⚠️  Some jobs may have failed: ${error.message}`);
+        // Checked before any sink (and in dry runs): an invalid record is not inserted, dropped and coerced fields are reported
+        const conforming = [];
+        for (const job of jobsToInsert) {
+          const findings = checkJobConformance(JobModel, job);
+          findings.unknown.forEach((path) => countByPath(stats.schema.unknown, path));
+          findings.coerced.forEach(({ path }) => countByPath(stats.schema.coerced, path));
+          const warnings = formatConformance({ ...findings, invalid: [] });
+          if (warnings.length > 0) console.log(`   ⚠️  Schema: ${job.companyName}: ${warnings.join('; ')}`);
+          if (findings.invalid.length === 0) {
+            conforming.push(job);
+            continue;
+          }
+          const error = `schema: ${formatConformance({ unknown: [], coerced: [], invalid: findings.invalid }).join('; ')}`;
+          stats.schema.invalid++;
+          if (!dryRun) stats.insertFailed++;
+          console.log(`   ❌ Not inserted: ${job.companyName}: ${error}`);
+          reportEntries.get(job).insertError = error;
+          report.insertErrors.push({ entityId: job.entityId, entityName: job.companyName, slug: job.slug, error });
         }
-      }
+
+        if (conforming.length > 0 && !dryRun) {
+          const insertResult = await jobSink.insert(conforming);
+          stats.inserted += insertResult.inserted;
+          stats.insertFailed += insertResult.failed.length;
+          stats.slugsRegenerated += insertResult.regenerated;
+          for (const { job, error } of insertResult.failed) {
+            console.log(`   ❌ Insert failed: ${job.companyName}: ${error}`);
+            const entry = reportEntries.get(job);
+            if (entry) entry.insertError = error;
+            report.insertErrors.push({ entityId: job.entityId, entityName: job.companyName, slug: job.slug, error });
+          }
+        }
+
+        if (budget.exhausted && !stats.budgetExhausted) {
+          stats.budgetExhausted = true;
+          console.log(`   💸 Run budget reached (${budget.describeLimit()}): no further LLM calls`);
+        }
+
+        // Checkpoint: the entities of this batch are done, so a crash from here on never repeats them.
+        // In skip mode the cursor stops before the first entity the budget left out, so the next run
+        // starts with it; entities after it that did get a job are then caught by the cooldown.
+        const batchSuccessful = results.filter(r => r.success).length;
+        const budgetSkipped = new Set(results.filter((r) => r.skipped === 'budget').map((r) => r.entityId));
+        const firstBudgetSkip = batch.findIndex((entity) => budgetSkipped.has(entity._id.toString()));
+        const done = firstBudgetSkip === -1 ? batch.length : firstBudgetSkip;
+        run.processed += done;
+        run.successful += batchSuccessful;
+        run.completedBatches++;
+        run.lastCheckpoint = clock().toISOString();
+        checkpointed = i + done;
+        if (done > 0) {
+          const last = i + done - 1;
+          const lastId = entities[last]._id.toString();
+          if (mainRotation) {
+            if (cycleOf(last) !== state.cycle) {
+              state.lastCycleCompletedAt = clock().toISOString();
+              console.log(`   🔁 Cycle ${state.cycle} complete`);
+            }
+            state.cursor = lastId;
+            state.cycle = cycleOf(last);
+            state.currentIndex = positionOf(last);
+          } else if (runSelection.strategy === 'sequential') {
+            state.selectionCursors = { ...state.selectionCursors, [selectionKey]: lastId };
+          } else {
+            runSelection.next = runSelection.entityIds.indexOf(lastId) + 1;
+          }
+        }
+        state.totalGenerated += batchSuccessful;
+        // Usage since the previous checkpoint goes into today's total
+        const delta = Object.fromEntries(Object.keys(EMPTY_USAGE).map((key) => [key, budget.spent[key] - checkpointUsage[key]]));
+        state.usageByDay = addDailyUsage(state.usageByDay, delta, clock());
+        run.usage = budget.spent;
+        checkpointUsage = budget.spent;
+        await saveState(state);
+        await contactResolver.flush();
       
-      const elapsed = (Date.now() - stats.startTime) / 1000 / 60;
-      console.log(`   ✅ Batch ${batchNum} complete - Success: ${results.filter(r => r.success).length}`);
-      console.log(`   ⏱️  Elapsed: ${elapsed.toFixed(1)}m, Rate: ${(stats.processed / elapsed).toFixed(1)} jobs/min`);
+        report.batches.push({ batch: batchNum, entities: batch.length, successful: batchSuccessful, durationMs: clock().getTime() - batchStartedAt });
+
+        const elapsed = (clock().getTime() - stats.startTime) / 1000 / 60;
+        console.log(`   ✅ Batch ${batchNum} complete - Success: ${batchSuccessful}`);
+        console.log(`   ⏱️  Elapsed: ${elapsed.toFixed(1)}m, Rate: ${(stats.processed / elapsed).toFixed(1)} jobs/min`);
+      }
+
+      if (checkpointed < stats.total) {
+        console.log(`\n💸 Budget reached: leaving the remaining ${stats.total - checkpointed} entities for the next run`);
+      }
+
+      // Run finished: index and totals were already advanced by the batch checkpoints
+      state.lastRun = clock().toISOString();
+      state.lastRunId = run.runId;
+      state.activeRun = null;
+      await saveState(state);
+
+      console.log('\n🎉 === GENERATION COMPLETE ===');
+      console.log(`🆔 Run ID: ${run.runId}`);
+      console.log(`✅ Successful: ${stats.successful}/${stats.processed}`);
+      if (dryRun) {
+        console.log(`🧪 Dry run: ${stats.successful} jobs generated, none stored`);
+      } else {
+        console.log(`💾 Inserted (${jobSink.name}): ${stats.inserted}, insert failures: ${stats.insertFailed}, slugs regenerated: ${stats.slugsRegenerated}`);
+      }
+      const schemaCounts = (counts) => Object.entries(counts).map(([path, n]) => `${path} ${n}`).join(', ') || 'none';
+      console.log(`📐 Schema: ${stats.schema.invalid} invalid, dropped fields: ${schemaCounts(stats.schema.unknown)}, coerced: ${schemaCounts(stats.schema.coerced)}`);
+      console.log(`📍 Location fallback (Brussels): ${stats.locationFallback}`);
+      console.log(`⏭️  Skipped: ${stats.skipped}${stats.skipped > 0 ? ` (${Object.entries(stats.skippedByReason).map(([reason, n]) => `${reason}: ${n}`).join(', ')})` : ''}`);
+      console.log(`🤖 GPT: ${stats.gptSuccessful} (repaired: ${stats.gptRepaired}), Template: ${stats.templateFallback}`);
+      console.log(`🧹 Content lint: ${stats.lintRejected} rejected, ${stats.lintWarned} inserted with warnings${Object.keys(stats.lintByRule).length > 0 ? ` (${Object.entries(stats.lintByRule).map(([rule, byAction]) => `${rule}: ${Object.entries(byAction).map(([action, n]) => `${n} ${action}`).join('/')}`).join(', ')})` : ''}`);
+      console.log(`🧮 Tokens this session: ${formatUsage(stats.usage)}${stats.gptSuccessful > 0 ? `, $${(stats.usage.cost / stats.gptSuccessful).toFixed(4)} per LLM job` : ''}`);
+      if (resume) console.log(`🧮 Tokens for the whole run: ${formatUsage(budget.spent)}`);
+      if (!price) console.log(`⚠️  No price for model ${llm.model}: costs are reported as $0 (add it via LLM_PRICES_FILE)`);
+      const today = state.usageByDay?.[clock().toISOString().slice(0, 10)];
+      if (today) console.log(`📅 Today (UTC): ${formatUsage(today)}`);
+      if (stats.budgetExhausted) console.log(`💸 Budget reached: ${budget.describeLimit()}`);
+      console.log(`⏱️  Total time: ${((clock().getTime() - stats.startTime) / 1000 / 60).toFixed(1)} minutes`);
+      console.log(`🚦 Throttled (429): ${rateLimiter.throttleCount}, final rate: ${rateLimiter.rate.toFixed(1)} req/s`);
+      console.log(`\n📊 By Seniority:`);
+      Object.entries(stats.bySeniority).forEach(([level, count]) => {
+        console.log(`   ${level}: ${count} jobs`);
+      });
+      console.log(`\n🌐 By Language:`);
+      Object.entries(stats.byLanguage).forEach(([code, count]) => {
+        console.log(`   ${code}: ${count} jobs`);
+      });
+      console.log(`\n📝 By Prompt Variant:`);
+      Object.entries(stats.byPromptVariant).forEach(([name, count]) => {
+        console.log(`   ${name}: ${count} jobs`);
+      });
+      if (dryRun) {
+        console.log(`\n📍 Rotation state unchanged (dry run): the next run starts where this one did\n`);
+      } else {
+        console.log(`\n📍 Next run will start after entity ${state.cursor} (cycle ${state.cycle}, ${state.currentIndex}/${state.eligibleCount})`);
+        console.log(`📈 Total jobs generated all-time: ${state.totalGenerated}\n`);
+      }
+
+      stats.status = stats.budgetExhausted ? 'budget-reached' : 'completed';
+      // Dry runs stay out of the reports and the history, so stats only show real runs
+      if (!dryRun) {
+        const finalReport = finishReport(stats.status);
+        await saveRunReport(finalReport);
+        stats.alerts = await notifyFinish(finalReport);
+      }
+      return stats;
+
+    } catch (error) {
+      console.error('❌ Generation failed:', error.message);
+      // The checkpoint lets --resume finish the run; the report records how far this attempt got
+      const failedReport = run && !dryRun ? finishReport('failed', error.message) : null;
+      if (failedReport) await saveRunReport(failedReport);
+      // Also sent when the run failed before its checkpoint was written, e.g. the state could not be loaded.
+      // Failures before generateRotatedJobs() is called (options, database connection) are the caller's to report
+      if (notifier && !dryRun) await notifier.failure(error.message, failedReport && summarizeReport(failedReport));
+      throw error;
+    } finally {
+      clearInterval(heartbeat);
+      if (lockHeld) {
+        await store.releaseLock(lockOwner).catch((error) => console.log(`⚠️  Could not release state lock: ${error.message}`));
+      }
     }
+  }
 
-    // Update state
-    state.currentIndex = (state.currentIndex + stats.successful) % TOTAL_ENTITIES;
-    state.lastRun = new Date().toISOString();
-    state.totalGenerated += stats.successful;
-    saveState(state);
-
-    console.log('\n🎉 === GENERATION COMPLETE ===');
-    console.log(`✅ Successful: ${stats.successful}/${stats.processed}`);
-    console.log(`🤖 GPT: ${stats.gptSuccessful}, Template: ${stats.templateFallback}`);
-    console.log(`⏱️  Total time: ${((Date.now() - stats.startTime) / 1000 / 60).toFixed(1)} minutes`);
-    console.log(`\n📊 By Seniority:`);
-    Object.entries(stats.bySeniority).forEach(([level, count]) => {
-      console.log(`   ${level}: ${count} jobs`);
+  // One job for one entity, outside the rotation: the state is not touched and nothing is
+  // inserted unless `insert` is set. Returns the processEntity() result plus schemaFindings
+  // (see job-conformance.mjs) and, with `insert`, insertResult; null when there is no entity with that id.
+  async function generateForEntity(entityId, { language = defaultLanguage, profile = loadProfile(DEFAULT_PROFILE), prompts = loadPromptVariants(), seniority = null, template = false, insert = false } = {}) {
+    const entity = await entitySource.findById(entityId);
+    if (!entity) return null;
+    // A zero-token budget refuses the first LLM call, so `template` renders the fallback without one
+    const budget = new UsageBudget({ maxTokens: template ? 0 : null, price });
+    const runDate = clock();
+    const result = await processEntity(entity, 0, {
+      runId: `single-${createRunId(runDate, random)}`, languageSetting: language, profile, runDate, prompts,
+      budget, onBudgetExhausted: 'template', seniority
     });
-    console.log(`\n📍 Next run will start from entity index: ${state.currentIndex}`);
-    console.log(`📈 Total jobs generated all-time: ${state.totalGenerated}`);
+    await contactResolver.flush();
+    if (!result.success) return result;
+    result.schemaFindings = checkJobConformance(JobModel, result.jobRecord);
+    if (insert) {
+      const { invalid } = result.schemaFindings;
+      result.insertResult = invalid.length > 0
+        ? { inserted: 0, regenerated: 0, failed: [{ job: result.jobRecord, error: `schema: ${formatConformance({ unknown: [], coerced: [], invalid }).join('; ')}` }] }
+        : await jobSink.insert([result.jobRecord]);
+    }
+    return result;
+  }
 
-    return stats;
+  return { llm, price, processEntity, generateRotatedJobs, generateForEntity };
+}
 
-  } catch (error) {
-    console.error('❌ Generation failed:', error.message);
-    throw error;
-  } finally {
-    await mongoose.disconnect();
-    console.log('\n🔌 Database connection closed.');
+// The options that shape the posting itself (--language, --profile, --prompt-variants), all a
+// single-entity preview needs. Same flags and fallbacks as resolveGenerateOptions().
+function resolveContentOptions(config, flags = {}) {
+  const defaults = config.runDefaults;
+  const language = flags.language === undefined ? config.language : parseLanguageSetting(flags.language);
+  if (!language) {
+    throw new UsageError(`Unsupported --language "${flags.language}". Expected auto or one of: ${Object.keys(LANGUAGES).join(', ')}`);
   }
-}
 
-// CLI
-const args = process.argv.slice(2);
-const count = args[0] ? parseInt(args[0]) : 2000;
-
-console.log(`🚀 SCHEDULED ROTATED JOB GENERATION`);
-console.log(`📊 Generating ${count} jobs`);
-console.log(`🔄 Rotation through ${TOTAL_ENTITIES} total entities`);
-console.log(`💰 Estimated cost: $${(count * 0.003).toFixed(2)} USD`);
-console.log(`⏱️  Estimated time: ${Math.ceil(count / 20)} minutes\n`);
-console.log('Starting in 3 seconds...\n');
-
-setTimeout(() => {
-  generateRotatedJobs(count)
-    .then((stats) => {
-      console.log('\n✅ GENERATION COMPLETED SUCCESSFULLY!');
-      process.exit(0);
-    })
-    .catch((error) => {
-      console.error('\n❌ GENERATION FAILED:', error);
-      process.exit(1);
+  const profileSource = flags.profile || defaults.profile || DEFAULT_PROFILE;
+  const profile = loadProfile(profileSource);
+  const prompts = loadPromptVariants({ split: flags['prompt-variants'] || defaults.promptVariants });
+  // Render every selected variant once so a misspelled placeholder stops the run before any LLM call
+  const sampleSeniority = Object.keys(profile.seniority)[0];
+  for (const name of Object.keys(prompts.split)) {
+    const context = buildPromptContext({ name: 'Example Organisation' }, sampleSeniority, 'Officer', {
+      deadline: new Date(), location: FALLBACK_LOCATION, language: DEFAULT_LANGUAGE, profile,
+      startDate: getStartDate(profile.seniority[sampleSeniority].contract)
     });
-}, 3000);
+    try {
+      renderTemplate(prompts.variants[name].system, context);
+      renderTemplate(prompts.variants[name].user, context);
+    } catch (error) {
+      throw new PromptTemplateError(`Prompt variant "${name}": ${error.message}`);
+    }
+  }
+  return { language, profile, profileSource, prompts };
+}
 
+// Turns generate flags (named as on the command line, with config.runDefaults as fallback)
+// into generateRotatedJobs() options. Bad flag values throw UsageError, broken config files
+// their own error class.
+function resolveGenerateOptions(config, flags = {}) {
+  const defaults = config.runDefaults;
+  const count = flags.count === undefined ? 2000 : Number(flags.count);
+  if (!Number.isInteger(count) || count < 1) throw new UsageError('--count expects a whole number of jobs');
+
+  const budget = {
+    maxCost: parseBudgetLimit(flags['max-cost'] ?? defaults.maxCost),
+    maxTokens: parseBudgetLimit(flags['max-tokens'] ?? defaults.maxTokens, true),
+    // What happens to the rest of the run once the budget is reached: template or skip
+    onExhausted: (flags['on-budget'] ?? defaults.onBudget ?? 'template').toLowerCase()
+  };
+  if (Number.isNaN(budget.maxCost) || Number.isNaN(budget.maxTokens)) {
+    throw new UsageError('--max-cost must be a positive amount in USD and --max-tokens a positive whole number');
+  }
+  if (!['template', 'skip'].includes(budget.onExhausted)) {
+    throw new UsageError(`Unknown --on-budget "${budget.onExhausted}". Expected template or skip`);
+  }
+  const model = config.provider?.model;
+  if (budget.maxCost !== null && !findPrice(config.prices, model)) {
+    throw new ConfigError(`--max-cost needs a price for model ${model}. Add it to a JSON file and set LLM_PRICES_FILE`);
+  }
 
+  // Which entities get a job; filters are comma-separated (case-insensitive substrings for category and interest)
+  const selection = buildSelection({
+    strategy: flags.strategy || defaults.strategy || DEFAULT_STRATEGY,
+    categories: flags.category ?? defaults.categories,
+    interests: flags.interest ?? defaults.interests,
+    countries: flags.country ?? defaults.countries,
+    exclude: flags.exclude ?? defaults.exclude,
+    weightsFile: flags.weights || defaults.weightsFile
+  });
+
+  const { language, profile, profileSource, prompts } = resolveContentOptions(config, flags);
+
+  // --sink and --output pick the job sink for createDefaultDependencies(); a dry run stores nothing, so it takes none
+  const sink = {
+    type: (flags.sink ?? config.sink.type).toLowerCase(),
+    file: flags.output ?? config.sink.file
+  };
+  if (!JOB_SINKS.includes(sink.type)) throw new UsageError(`Unknown --sink "${sink.type}". Expected one of: ${JOB_SINKS.join(', ')}`);
+  if (['jsonl', 'csv'].includes(sink.type) && !sink.file) {
+    throw new UsageError(`--sink ${sink.type} needs a file: pass --output <file> or set JOB_SINK_FILE`);
+  }
+  const dryRun = Boolean(flags['dry-run']);
+  if (dryRun && flags.sink && sink.type !== 'mongo') throw new UsageError('--dry-run stores no jobs, so it cannot be combined with --sink');
+
+  return { count, resume: Boolean(flags.resume), language, profile, profileSource, prompts, budget, selection, sink, dryRun };
+}
+
+// The MongoDB-backed dependencies of createGenerator() on an open connection, with the
+// state store and run history STATE_STORE selects. A file or stdout sink only takes over
+// insert(): duplicate prevention and the least-recent strategy still read the Job collection.
+function createDefaultDependencies(config, connection = mongoose.connection, { sink = config.sink } = {}) {
+  if (!config.provider) throw new ConfigError(config.providerError);
+  const fileStore = config.stateStore === 'file';
+  const { probe, timeoutMs, siteTimeoutMs, cacheDays, cacheFile } = config.contacts;
+  const mongoSink = createMongoJobSink(connection);
+  const outputSink = { jsonl: () => createFileJobSink(sink.file, 'jsonl'), csv: () => createFileJobSink(sink.file, 'csv'), stdout: () => createStdoutJobSink() }[sink.type];
+  return {
+    llm: createProvider(config.provider),
+    entitySource: createMongoEntitySource(connection),
+    jobSink: outputSink ? { ...mongoSink, ...outputSink() } : mongoSink,
+    stateStore: fileStore ? createFileStateStore(config.stateFile) : createMongoStateStore(connection, { seedFile: config.stateFile }),
+    runHistory: !fileStore ? createMongoRunHistory(connection) : config.reportsDir ? createFileRunHistory(join(config.reportsDir, 'history.jsonl')) : null,
+    contactResolver: createContactResolver({
+      probe, timeoutMs, siteTimeoutMs, cacheDays,
+      cache: fileStore ? createFileContactCache(cacheFile) : createMongoContactCache(connection)
+    }),
+    notifier: config.notify.webhooks.length > 0 ? createNotifier(config.notify) : null
+  };
+}
+
+export { createGenerator, resolveGenerateOptions, resolveContentOptions, createDefaultDependencies, loadGeneratorConfig, createMongoEntitySource, createMongoJobSink };
+
+if (process.argv[1] === __filename) {
+  console.error('❌ generate-rotated-jobs.mjs is no longer run directly. Use: node cli.mjs generate --count <n> (see node cli.mjs --help)');
+  process.exit(EXIT_CODES.USAGE);
+}
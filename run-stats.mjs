@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import { join } from 'path';
+import { createFileRunHistory, createMongoRunHistory } from './src/run-report.mjs';
+import { loadGeneratorConfig } from './src/generator-config.mjs';
+import { EXIT_CODES, ConfigError } from './src/exit-codes.mjs';
+
+// Run history and trends for node cli.mjs stats, which parses the flags
+
+// Rates per run; a run with nothing processed has no rates
+function runMetrics(run) {
+  const { byOutcome, processed } = run.totals;
+  const llm = byOutcome.llm + byOutcome['llm-repaired'];
+  return {
+    llmRate: processed > 0 ? llm / processed : null,
+    templateRate: processed > 0 ? byOutcome.template / processed : null,
+    failureRate: processed > 0 ? byOutcome.failed / processed : null,
+    jobsPerMinute: run.timings.jobsPerMinute,
+    costPerJob: run.totals.successful > 0 ? run.usage.cost / run.totals.successful : null
+  };
+}
+
+function average(values) {
+  const known = values.filter((value) => value !== null);
+  return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+}
+
+// Latest run against the average of the runs before it
+function computeTrends(runs) {
+  const metrics = runs.map(runMetrics);
+  const [latest, ...previous] = metrics;
+  const trends = {};
+  for (const key of Object.keys(latest || {})) {
+    const baseline = average(previous.map((metric) => metric[key]));
+    trends[key] = { latest: latest[key], average: baseline, change: latest[key] !== null && baseline ? (latest[key] - baseline) / baseline : null };
+  }
+  return trends;
+}
+
+function computeDailyTotals(runs) {
+  const days = {};
+  for (const run of runs) {
+    const day = run.startedAt.slice(0, 10);
+    days[day] ||= { runs: 0, successful: 0, failed: 0, template: 0, tokens: 0, cost: 0 };
+    days[day].runs++;
+    days[day].successful += run.totals.successful;
+    days[day].failed += run.totals.failed;
+    days[day].template += run.totals.byOutcome.template;
+    days[day].tokens += run.usage?.totalTokens || 0;
+    days[day].cost += run.usage?.cost || 0;
+  }
+  return days;
+}
+
+const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+const signed = (value) => (value === null ? '' : ` (${value >= 0 ? '+' : ''}${(value * 100).toFixed(0)}%)`);
+
+function printRuns(runs) {
+  console.log('📋 Runs (newest first):\n');
+  console.log(['   Started'.padEnd(22), 'Status'.padEnd(15), 'Jobs', 'LLM'.padStart(6), 'Template'.padStart(9), 'Failed'.padStart(7),
+    'Skipped'.padStart(8), 'Jobs/min'.padStart(9), 'Cost'].join('  '));
+  for (const run of runs) {
+    const metrics = runMetrics(run);
+    console.log([
+      `   ${run.startedAt.slice(0, 19).replace('T', ' ')}`,
+      run.status.padEnd(15),
+      String(run.totals.successful).padStart(4),
+      percent(metrics.llmRate).padStart(6),
+      percent(metrics.templateRate).padStart(9),
+      percent(metrics.failureRate).padStart(7),
+      String(run.totals.skipped).padStart(8),
+      String(metrics.jobsPerMinute).padStart(9),
+      `$${(run.usage?.cost || 0).toFixed(2)}`
+    ].join('  '));
+  }
+}
+
+function printTrends(trends, runCount) {
+  if (runCount < 2) {
+    console.log('\nℹ️  Trends need at least two runs');
+    return;
+  }
+  console.log(`\n📈 Latest run vs. average of the previous ${runCount - 1}:\n`);
+  console.log(`   LLM success:   ${percent(trends.llmRate.latest)} vs ${percent(trends.llmRate.average)}${signed(trends.llmRate.change)}`);
+  console.log(`   Template:      ${percent(trends.templateRate.latest)} vs ${percent(trends.templateRate.average)}${signed(trends.templateRate.change)}`);
+  console.log(`   Failures:      ${percent(trends.failureRate.latest)} vs ${percent(trends.failureRate.average)}${signed(trends.failureRate.change)}`);
+  console.log(`   Throughput:    ${trends.jobsPerMinute.latest} vs ${trends.jobsPerMinute.average?.toFixed(2) ?? '-'} jobs/min${signed(trends.jobsPerMinute.change)}`);
+  console.log(`   Cost per job:  $${trends.costPerJob.latest?.toFixed(4) ?? '-'} vs $${trends.costPerJob.average?.toFixed(4) ?? '-'}${signed(trends.costPerJob.change)}`);
+}
+
+function printDailyTotals(days) {
+  console.log('\n📅 Per day (UTC):\n');
+  for (const [day, totals] of Object.entries(days).sort(([a], [b]) => b.localeCompare(a))) {
+    console.log(`   ${day}: ${totals.runs} runs, ${totals.successful} jobs (${totals.template} template, ${totals.failed} failed), ${totals.tokens.toLocaleString()} tokens, $${totals.cost.toFixed(2)}`);
+  }
+}
+
+// Same settings as generate and status, so the history is read from where runs write it.
+// limit: most recent runs to include; since: a Date or null. Resolves to the exit code.
+export async function runStats({ limit = 20, since = null, json = false } = {}, env = process.env) {
+  const generatorConfig = loadGeneratorConfig(env);
+  const fileStore = generatorConfig.stateStore === 'file';
+  let history;
+  if (fileStore) {
+    if (!generatorConfig.reportsDir) throw new ConfigError('REPORTS_DIR=none keeps no run history with STATE_STORE=file');
+    history = createFileRunHistory(join(generatorConfig.reportsDir, 'history.jsonl'));
+  } else {
+    if (!generatorConfig.mongodbUri) throw new ConfigError('MONGODB_URI not found');
+    await mongoose.connect(generatorConfig.mongodbUri, { bufferCommands: false, dbName: generatorConfig.dbName });
+    history = createMongoRunHistory(mongoose.connection);
+  }
+
+  try {
+    const runs = await history.list({ limit, since });
+    const trends = computeTrends(runs);
+    const days = computeDailyTotals(runs);
+
+    if (json) {
+      console.log(JSON.stringify({ runs, trends, days }, null, 2));
+      return EXIT_CODES.OK;
+    }
+
+    console.log(`📊 === GENERATION RUN HISTORY ===\n`);
+    console.log(`🗄️  History: ${history.name} (${history.location})\n`);
+    if (runs.length === 0) {
+      console.log('ℹ️  No runs recorded yet');
+      return EXIT_CODES.OK;
+    }
+    printRuns(runs);
+    printTrends(trends, runs.length);
+    printDailyTotals(days);
+    return EXIT_CODES.OK;
+  } finally {
+    if (!fileStore) await mongoose.disconnect();
+  }
+}
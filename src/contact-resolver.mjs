@@ -0,0 +1,228 @@
+import { readFileSync, writeFileSync, existsSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+// Apply link and contact address of a job. Contact data on the entity record wins; otherwise
+// the careers page is looked for by probing likely paths on the entity's website, and the
+// homepage is used when none answers. Only the contact address is ever made up. Each job
+// records where its contact data came from in contactSource:
+//   entity   - taken from the entity record
+//   verified - careers page that answered a probe and names itself one (now or within CAREERS_CACHE_DAYS)
+//   website  - the entity's homepage, no careers page found
+//   guessed  - made up from the website's domain, never checked
+
+export const CONTACT_SOURCES = ['entity', 'verified', 'website', 'guessed'];
+
+// Checked in this order; the first path that answers 2xx with a careers page (see looksLikeCareersPage())
+// without redirecting to the homepage wins
+export const CAREERS_PATHS = ['/careers', '/jobs', '/vacancies', '/work-with-us', '/join-us', '/about-us/careers', '/en/careers', '/en/jobs'];
+
+// Where the entity record may hold contact data, as dotted paths
+export const CAREERS_URL_FIELDS = ['careersURL', 'careersUrl', 'jobsURL', 'contactDetails.careersURL'];
+export const EMAIL_FIELDS = ['contactDetails.email', 'headOffice.email', 'contactEmail', 'email'];
+
+// Careers pages name themselves in the title or main heading. The body proves nothing: soft 404s and
+// catch-all apps answer 200 for any path, and their shell links "Careers" from the navigation.
+const CAREERS_HEADING = /career|jobs?\b|vacanc|recruit|work(ing)? (with|for|at) us|join (us|our team)|opportunit|emploi|carri[èe]re|recrutement|karriere|stellen|vacature|werken bij|empleo|trabaja con|lavora con|posizioni aperte/i;
+const NOT_FOUND = /\b404\b|not[ -]found|page introuvable|nicht gefunden|niet gevonden|no encontrad|non trovat/i;
+const PAGE_HEAD_CHARS = 64 * 1024;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const GUESSED_PREFIXES = ['hr', 'recruiting', 'careers', 'jobs', 'talent', 'recruitment'];
+
+const getPath = (entity, path) => path.split('.').reduce((value, key) => value?.[key], entity);
+
+function firstValue(entity, fields, accept) {
+  for (const field of fields) {
+    const value = getPath(entity, field);
+    if (typeof value === 'string' && accept(value.trim())) return value.trim();
+  }
+  return null;
+}
+
+function toUrl(value) {
+  try {
+    const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    return /^https?:$/.test(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+export function extractDomain(url) {
+  return toUrl(url || '')?.hostname.replace(/^www\./, '') || '';
+}
+
+function guessEmail(domain, random) {
+  if (!domain) return '';
+  return `${GUESSED_PREFIXES[Math.floor(random() * GUESSED_PREFIXES.length)]}@${domain}`;
+}
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+// The start of the page, enough for <title> and the first <h1>; the rest is not downloaded
+async function readPageHead(response) {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let html = '';
+  try {
+    while (html.length < PAGE_HEAD_CHARS) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      html += decoder.decode(value, { stream: true });
+    }
+  } catch {
+    // a page cut off by the timeout is judged on what arrived
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+  return html;
+}
+
+// The page's title or first heading says careers, jobs, vacancies (in the posting languages), and
+// neither it nor the address it landed on reads like an error page
+export function looksLikeCareersPage(html, url = '') {
+  const headings = [/<title[^>]*>([\s\S]*?)<\/title>/i, /<h1[^>]*>([\s\S]*?)<\/h1>/i]
+    .map((pattern) => stripTags(html.match(pattern)?.[1] || ''))
+    .filter(Boolean);
+  if (NOT_FOUND.test(url) || headings.some((text) => NOT_FOUND.test(text))) return false;
+  return headings.some((text) => CAREERS_HEADING.test(text));
+}
+
+// Cache backends share one interface: get(origin) -> { url, checkedAt } | null, set(origin, entry), flush().
+// url is null for a site without a careers page. Sites that could not be reached are not cached.
+export function createFileContactCache(file) {
+  let entries = null;
+  let dirty = false;
+  const load = () => {
+    if (!entries) entries = existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+    return entries;
+  };
+
+  return {
+    name: 'file',
+    location: file,
+
+    async get(origin) {
+      return load()[origin] || null;
+    },
+
+    async set(origin, entry) {
+      load()[origin] = entry;
+      dirty = true;
+    },
+
+    // Written at checkpoints rather than per entity; temp file and rename as for the state file
+    async flush() {
+      if (!dirty) return;
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(`${file}.tmp`, JSON.stringify(entries, null, 2));
+      renameSync(`${file}.tmp`, file);
+      dirty = false;
+    }
+  };
+}
+
+export function createMongoContactCache(connection, { collectionName = 'careers_pages' } = {}) {
+  const collection = connection.collection(collectionName);
+
+  return {
+    name: 'mongo',
+    location: collectionName,
+
+    async get(origin) {
+      return collection.findOne({ _id: origin }, { projection: { _id: 0 } });
+    },
+
+    async set(origin, entry) {
+      await collection.updateOne({ _id: origin }, { $set: entry }, { upsert: true });
+    },
+
+    async flush() {}
+  };
+}
+
+// probe: false never makes a request (the homepage is used), e.g. for offline runs and tests.
+// timeoutMs limits each request, siteTimeoutMs all requests to one site together, so a slow site
+// holds up its batch for at most that long. fetch is injectable, and the probe follows the entity's
+// own webSiteURL, so a local stub server (webSiteURL: 'http://127.0.0.1:<port>') exercises the whole path.
+export function createContactResolver({ probe = true, cache = null, fetch = globalThis.fetch, timeoutMs = 5000, siteTimeoutMs = 10000, cacheDays = 30, paths = CAREERS_PATHS, clock = () => new Date() } = {}) {
+  // Entities of the same organization in one batch share a probe
+  const pending = new Map();
+
+  // { url } with the careers page or null, or { unreachable: true } when the site did not answer.
+  // A site that answers but runs out of siteTimeoutMs before every path was tried counts as having none.
+  async function probeSite(origin) {
+    const deadline = Date.now() + siteTimeoutMs;
+    for (const path of paths) {
+      const left = deadline - Date.now();
+      if (left <= 0) break;
+      let response;
+      try {
+        response = await fetch(`${origin}${path}`, {
+          redirect: 'follow',
+          signal: AbortSignal.timeout(Math.min(timeoutMs, left)),
+          headers: { 'user-agent': 'scheduled-job-generator (careers page check)' }
+        });
+      } catch {
+        // Cut off by siteTimeoutMs: the site answers, just slowly
+        if (left < timeoutMs && Date.now() >= deadline) break;
+        // Timeouts, DNS and TLS errors say nothing about the page, so the site is tried again next run
+        return { unreachable: true };
+      }
+      const landed = new URL(response.url || `${origin}${path}`);
+      if (!response.ok || landed.pathname.replace(/\/+$/, '') === '') {
+        await response.body?.cancel().catch(() => {});
+        continue;
+      }
+      if (looksLikeCareersPage(await readPageHead(response), landed.pathname)) return { url: landed.href };
+    }
+    return { url: null };
+  }
+
+  async function findCareersPage(origin) {
+    const cached = cache && await cache.get(origin);
+    if (cached && clock().getTime() - new Date(cached.checkedAt).getTime() < cacheDays * 24 * 60 * 60 * 1000) {
+      return cached.url;
+    }
+    if (!pending.has(origin)) {
+      pending.set(origin, probeSite(origin).then(async (result) => {
+        if (!result.unreachable && cache) await cache.set(origin, { url: result.url, checkedAt: clock().toISOString() });
+        return result.url || null;
+      }).finally(() => pending.delete(origin)));
+    }
+    return pending.get(origin);
+  }
+
+  return {
+    async resolve(entity, { random = Math.random } = {}) {
+      const website = toUrl(entity.webSiteURL || '');
+      const domain = extractDomain(entity.webSiteURL);
+
+      const entityEmail = firstValue(entity, EMAIL_FIELDS, (value) => EMAIL_PATTERN.test(value));
+      const contactEmail = entityEmail || guessEmail(domain, random);
+
+      const entityCareers = firstValue(entity, CAREERS_URL_FIELDS, (value) => Boolean(toUrl(value)));
+      let applyLink = entityCareers && toUrl(entityCareers).href;
+      let applyLinkSource = 'entity';
+      if (!applyLink) {
+        const careersPage = probe && website ? await findCareersPage(website.origin) : null;
+        applyLink = careersPage || (website ? website.href : '');
+        applyLinkSource = careersPage ? 'verified' : 'website';
+      }
+
+      return {
+        applyLink,
+        contactEmail,
+        contactSource: {
+          applyLink: applyLink ? applyLinkSource : undefined,
+          contactEmail: contactEmail ? (entityEmail ? 'entity' : 'guessed') : undefined
+        }
+      };
+    },
+
+    flush() {
+      return cache ? cache.flush() : Promise.resolve();
+    }
+  };
+}
@@ -0,0 +1,184 @@
+// Rule-based checks on every posting before it is inserted. Each rule has an action:
+//   reject     - the posting is dropped and the entity counts as failed
+//   regenerate - the model is asked to fix it (template after the last attempt); a template
+//                posting that fails such a rule is dropped, since it cannot be regenerated
+//   warn       - the posting is inserted and the finding recorded in generation.lintWarnings
+//   off        - the rule is not run
+
+export const LINT_ACTIONS = ['reject', 'regenerate', 'warn', 'off'];
+
+export const DEFAULT_LINT_ACTIONS = {
+  'placeholders': 'regenerate',
+  'truncation': 'regenerate',
+  'missing-sections': 'regenerate',
+  'markdown': 'regenerate',
+  'salary': 'regenerate',
+  'entity-name': 'regenerate',
+  'banned-phrases': 'warn'
+};
+
+export const DEFAULT_BANNED_PHRASES = [
+  'as an ai',
+  'language model',
+  "i'm sorry",
+  'i cannot',
+  'lorem ipsum',
+  'rockstar',
+  'ninja',
+  'work hard, play hard'
+];
+
+export class LintConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LintConfigError';
+  }
+}
+
+// "placeholders:reject,banned-phrases:off" on top of the defaults
+export function parseLintActions(value) {
+  const actions = { ...DEFAULT_LINT_ACTIONS };
+  for (const part of String(value || '').split(',').map((item) => item.trim()).filter(Boolean)) {
+    const [rule, action] = part.split(':').map((item) => item.trim().toLowerCase());
+    if (!DEFAULT_LINT_ACTIONS[rule]) {
+      throw new LintConfigError(`Unknown lint rule "${rule}". Expected one of: ${Object.keys(DEFAULT_LINT_ACTIONS).join(', ')}`);
+    }
+    if (!LINT_ACTIONS.includes(action)) {
+      throw new LintConfigError(`Unknown action "${action}" for lint rule ${rule}. Expected one of: ${LINT_ACTIONS.join(', ')}`);
+    }
+    actions[rule] = action;
+  }
+  return actions;
+}
+
+export function parseBannedPhrases(value) {
+  const extra = String(value || '').split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+  return [...new Set([...DEFAULT_BANNED_PHRASES, ...extra])];
+}
+
+function normalize(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Bracketed instructions such as "[Add 2-3 more benefits]"; prompt templates must not contain them either
+export const BRACKET_PLACEHOLDER = /\[(?:add|insert|specify|include|list|describe|enter|your|company|organi[sz]ation|name|tbd|todo|placeholder)\b[^\]]*\]/i;
+
+// Instructions from the prompt the model copied instead of following, and unfilled template fields
+const PLACEHOLDER_PATTERNS = [
+  BRACKET_PLACEHOLDER,
+  /\{\{[^}]*\}\}/,
+  /\b(?:TBD|TODO|XXX)\b/
+];
+
+// Text ending on one of these was cut off, not finished
+const TRUNCATED_ENDING = /(?:[,;:(\-–/&]|\.\.\.|…)\s*$/;
+
+const SALARY_LINE = /salary|salaire|r[ée]mun[ée]ration|gehalt|verg[üu]tung|salaris|salario|retribuci[óo]n|retribuzione|stipendio|remuneration/i;
+const EURO = /€|\bEUR\b|\beuros?\b/i;
+// 45,000 / 45.000 / 45 000 / 45000 / 45k, not followed by a percentage
+const AMOUNT = /(\d{1,3}(?:[.,\s]\d{3})+|\d+(?:[.,]\d+)?)(\s*k\b)?(?!\s*%)/gi;
+
+function parseAmount(digits, thousands) {
+  const compact = digits.replace(/\s/g, '');
+  // Groups of three after a separator are thousands; anything else is a decimal (45.5k)
+  const value = /^\d{1,3}(?:[.,]\d{3})+$/.test(compact) ? Number(compact.replace(/[.,]/g, '')) : Number(compact.replace(',', '.'));
+  return thousands ? value * 1000 : value;
+}
+
+// Amounts of 1,000 or more on lines that mention both salary and euros ("€45,000 - 55,000" gives
+// both ends). Bare years such as 2027 are ignored.
+export function findSalaryAmounts(text) {
+  const amounts = [];
+  for (const line of text.split('\n').filter((item) => SALARY_LINE.test(item) && EURO.test(item))) {
+    for (const match of line.matchAll(AMOUNT)) {
+      if (!match[2] && /^(?:19|20)\d\d$/.test(match[1])) continue;
+      const amount = parseAmount(match[1], match[2]);
+      if (Number.isFinite(amount) && amount >= 1000) amounts.push(amount);
+    }
+  }
+  return amounts;
+}
+
+// Full name, name without "(ACRONYM)", the acronym and the name without a trailing legal form
+function entityNameVariants(entityName) {
+  const name = String(entityName || '');
+  const acronym = name.match(/\(([^)]{2,15})\)/)?.[1];
+  const withoutAcronym = name.replace(/\([^)]*\)/g, ' ');
+  const withoutLegalForm = withoutAcronym.replace(/[\s,]+(?:aisbl|asbl|ivzw|vzw|e\.?\s?v\.?|gmbh|s\.?a\.?|s\.?r\.?l\.?|sprl|b\.?v\.?|n\.?v\.?|ag|inc\.?|ltd\.?|limited|plc)\s*$/i, ' ');
+  return [name, withoutAcronym, acronym, withoutLegalForm].map((variant) => normalize(variant || '')).filter((variant) => variant.length >= 2);
+}
+
+const RULES = {
+  'placeholders': ({ title, description }) => {
+    const text = `${title}\n${description}`;
+    const found = PLACEHOLDER_PATTERNS.map((pattern) => text.match(pattern)?.[0]).filter(Boolean);
+    return found.length > 0 ? `leftover placeholder text: ${found.map((item) => `"${item.slice(0, 60)}"`).join(', ')}` : null;
+  },
+
+  'truncation': ({ description }, { finishReason }) => {
+    if (finishReason === 'length') return 'the response hit the max_tokens limit and was cut off';
+    return TRUNCATED_ENDING.test(description) ? `description ends mid-sentence ("...${description.slice(-40).trim()}")` : null;
+  },
+
+  'missing-sections': ({ description }, { sections = [] }) => {
+    const upper = description.toUpperCase();
+    const missing = sections.filter((section) => !upper.includes(section.toUpperCase()));
+    return missing.length > 0 ? `missing sections: ${missing.join(', ')}` : null;
+  },
+
+  'markdown': ({ title, description }) => {
+    const text = `${title}\n${description}`;
+    if (text.includes('```')) return 'contains markdown code fences';
+    return /^#{1,6}\s/m.test(text) ? 'contains markdown headings (#)' : null;
+  },
+
+  // Every stated figure must be inside the profile's band. The prompt only gives the model the band,
+  // so a single figure or narrower range inside it is correct and not compared with the stored salary
+  'salary': ({ description }, { salaryRange }) => {
+    if (!salaryRange) return null;
+    const amounts = findSalaryAmounts(description);
+    if (amounts.length === 0) return null;
+    const [min, max] = salaryRange;
+    const outside = amounts.filter((amount) => amount < min || amount > max);
+    if (outside.length > 0) {
+      return `salary figure(s) ${outside.map((amount) => `€${amount.toLocaleString('en-US')}`).join(', ')} outside the €${min.toLocaleString('en-US')}-€${max.toLocaleString('en-US')} band`;
+    }
+    return null;
+  },
+
+  'entity-name': ({ title, description }, { entityName }) => {
+    if (!entityName) return null;
+    const text = ` ${normalize(`${title}\n${description}`)} `;
+    return entityNameVariants(entityName).some((variant) => text.includes(` ${variant} `))
+      ? null
+      : `does not mention the organization "${entityName}"`;
+  },
+
+  'banned-phrases': ({ title, description }, context, { bannedPhrases = DEFAULT_BANNED_PHRASES }) => {
+    const text = `${title}\n${description}`.toLowerCase();
+    const found = bannedPhrases.filter((phrase) => text.includes(phrase));
+    return found.length > 0 ? `banned phrase(s): ${found.map((phrase) => `"${phrase}"`).join(', ')}` : null;
+  }
+};
+
+// context: { entityName, salaryRange, sections, finishReason }
+// Returns { issues: [{ rule, action, message }], reject, regenerate, warn } (the last three are issue lists)
+export function lintJob(job, context = {}, { actions = DEFAULT_LINT_ACTIONS, bannedPhrases = DEFAULT_BANNED_PHRASES } = {}) {
+  const issues = [];
+  for (const [rule, check] of Object.entries(RULES)) {
+    const action = actions[rule] || DEFAULT_LINT_ACTIONS[rule];
+    if (action === 'off') continue;
+    const message = check(job, context, { bannedPhrases });
+    if (message) issues.push({ rule, action, message });
+  }
+  return {
+    issues,
+    reject: issues.filter((issue) => issue.action === 'reject'),
+    regenerate: issues.filter((issue) => issue.action === 'regenerate'),
+    warn: issues.filter((issue) => issue.action === 'warn')
+  };
+}
+
+export function formatLintIssue(issue) {
+  return `${issue.rule}: ${issue.message}`;
+}
@@ -0,0 +1,85 @@
+// Per-entity duplicate prevention. Before any LLM tokens are spent on an entity we
+// look at the jobs it already has from this generator: too recent (cooldown) or too
+// many still active (cap) means the entity is skipped for this rotation.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sized for the scheduled workflow (4000 entities a day over ~13,000, a cycle of about 3.25 days):
+// the cooldown is shorter than a cycle and the cap above the ~9 jobs a 30-day deadline keeps active,
+// so in steady state neither skips an entity the rotation reaches once per cycle
+export const DEFAULT_DEDUPE = {
+  cooldownDays: 2,
+  maxActiveJobs: 10,
+  activeDays: 30
+};
+
+// A job is active until it is marked expired or its expiresOn passes. Jobs created
+// before expiresOn was set count as active for activeDays after creation.
+export function activeJobExpression(now, activeDays) {
+  const activeSince = new Date(now.getTime() - activeDays * DAY_MS);
+  return {
+    $and: [
+      { $ne: ['$status', 'expired'] },
+      {
+        $or: [
+          { $gte: ['$expiresOn', now.toISOString()] },
+          { $and: [{ $eq: [{ $ifNull: ['$expiresOn', null] }, null] }, { $gte: ['$createdAt', activeSince] }] }
+        ]
+      }
+    ]
+  };
+}
+
+// Returns Map<entityId, { activeCount, lastPostedAt }> for the given entities.
+// Jobs created before entityId was stored are matched by companyName.
+export async function findEntityJobActivity(JobModel, entities, { source, activeDays, now = new Date() }) {
+  const ids = entities.map((entity) => entity._id.toString());
+  const names = entities.map((entity) => entity.name || entity.originalName).filter(Boolean);
+
+  const rows = await JobModel.aggregate([
+    {
+      $match: {
+        source,
+        $or: [
+          { entityId: { $in: ids } },
+          { entityId: { $exists: false }, companyName: { $in: names } }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: { $ifNull: ['$entityId', { $concat: ['name:', '$companyName'] }] },
+        activeCount: { $sum: { $cond: [activeJobExpression(now, activeDays), 1, 0] } },
+        lastPostedAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  const byKey = new Map(rows.map((row) => [row._id, row]));
+  const activity = new Map();
+  for (const entity of entities) {
+    const byId = byKey.get(entity._id.toString());
+    const byName = byKey.get(`name:${entity.name || entity.originalName}`);
+    const lastDates = [byId?.lastPostedAt, byName?.lastPostedAt].filter(Boolean);
+    activity.set(entity._id.toString(), {
+      activeCount: (byId?.activeCount || 0) + (byName?.activeCount || 0),
+      lastPostedAt: lastDates.length > 0 ? new Date(Math.max(...lastDates.map((date) => date.getTime()))) : null
+    });
+  }
+  return activity;
+}
+
+// Returns the reason to skip the entity, or null if it may get a new job
+export function getSkipReason(activity, { cooldownDays, maxActiveJobs }, now = new Date()) {
+  if (!activity) return null;
+  if (maxActiveJobs > 0 && activity.activeCount >= maxActiveJobs) {
+    return `max-active: ${activity.activeCount} active jobs (limit ${maxActiveJobs})`;
+  }
+  if (cooldownDays > 0 && activity.lastPostedAt) {
+    const daysSince = (now.getTime() - activity.lastPostedAt.getTime()) / DAY_MS;
+    if (daysSince < cooldownDays) {
+      return `cooldown: last job ${daysSince.toFixed(1)} days ago (cooldown ${cooldownDays} days)`;
+    }
+  }
+  return null;
+}
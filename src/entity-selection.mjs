@@ -0,0 +1,187 @@
+import { readFileSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { ELIGIBLE_ENTITY_FILTER, toCursorValue } from './rotation.mjs';
+import { normalizeCountry, countrySpellings, COUNTRY_FIELDS } from './location.mjs';
+
+// Which entities a run generates jobs for. `sequential` walks the rotation cursor in _id
+// order; the other strategies pick their entities up front and the run keeps the picked
+// ids in its checkpoint, so --resume finishes the same list. Filters narrow the eligible
+// entities for every strategy.
+
+export const SELECTION_STRATEGIES = ['sequential', 'weighted', 'least-recent', 'random'];
+export const DEFAULT_STRATEGY = 'sequential';
+
+export class SelectionConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SelectionConfigError';
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export function parseListOption(value) {
+  return String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+// "id1,id2" or "@file" with one id per line ('#' starts a comment)
+export function parseExcludeIds(value) {
+  if (!value) return [];
+  if (!value.startsWith('@')) return parseListOption(value);
+  const file = value.slice(1);
+  if (!existsSync(file)) throw new SelectionConfigError(`Exclude list ${file} not found`);
+  return readFileSync(file, 'utf8').split('\n').map((line) => line.replace(/#.*/, '').trim()).filter(Boolean);
+}
+
+// { "<field path>": { "<value>": weight, ">=<number>": weight } }. Exact values match
+// case-insensitively; thresholds apply to numeric fields, highest first. An entity's weight
+// is the product over all fields (1 where nothing matches); weight 0 leaves it out.
+export function loadWeights(file) {
+  if (!existsSync(file)) throw new SelectionConfigError(`Weights file ${file} not found`);
+  let table;
+  try {
+    table = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new SelectionConfigError(`Weights file ${file} is not valid JSON (${error.message})`);
+  }
+  if (!table || typeof table !== 'object' || Array.isArray(table) || Object.keys(table).length === 0) {
+    throw new SelectionConfigError(`Weights file ${file} must map field names to { value: weight } objects`);
+  }
+  for (const [field, weights] of Object.entries(table)) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      throw new SelectionConfigError(`Weights for "${field}" in ${file} must be a { value: weight } object`);
+    }
+    for (const [key, weight] of Object.entries(weights)) {
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw new SelectionConfigError(`Weight for ${field} "${key}" in ${file} must be a number >= 0`);
+      }
+      if (key.startsWith('>=') && !Number.isFinite(Number(key.slice(2)))) {
+        throw new SelectionConfigError(`Threshold "${key}" for ${field} in ${file} must be ">=<number>"`);
+      }
+    }
+  }
+  return table;
+}
+
+// Returns { strategy, filters: { categories, interests, countries, excludeIds }, weights }
+export function buildSelection({ strategy = DEFAULT_STRATEGY, categories, interests, countries, exclude, weightsFile } = {}) {
+  const name = String(strategy).toLowerCase();
+  if (!SELECTION_STRATEGIES.includes(name)) {
+    throw new SelectionConfigError(`Unknown selection strategy "${strategy}". Expected one of: ${SELECTION_STRATEGIES.join(', ')}`);
+  }
+  if (name === 'weighted' && !weightsFile) throw new SelectionConfigError('The weighted strategy needs a weights file (--weights or ENTITY_WEIGHTS_FILE)');
+
+  const countryCodes = parseListOption(countries).map((country) => {
+    const code = normalizeCountry(country);
+    if (!code) throw new SelectionConfigError(`Unknown country "${country}"`);
+    return code;
+  });
+  return {
+    strategy: name,
+    filters: {
+      categories: parseListOption(categories),
+      interests: parseListOption(interests),
+      countries: [...new Set(countryCodes)],
+      excludeIds: parseExcludeIds(exclude)
+    },
+    weights: name === 'weighted' ? loadWeights(weightsFile) : null
+  };
+}
+
+export function hasFilters(filters) {
+  return Object.values(filters || {}).some((values) => values.length > 0);
+}
+
+// Categories and interests match as case-insensitive substrings; each filter is an OR of
+// its values and the filters are combined with AND
+export function buildEntityFilter(filters) {
+  if (!hasFilters(filters)) return ELIGIBLE_ENTITY_FILTER;
+  const conditions = [ELIGIBLE_ENTITY_FILTER];
+  const anyOf = (field, values) => ({ $or: values.map((value) => ({ [field]: { $regex: escapeRegex(value), $options: 'i' } })) });
+
+  if (filters.categories.length > 0) conditions.push(anyOf('registrationCategory', filters.categories));
+  if (filters.interests.length > 0) conditions.push(anyOf('interests', filters.interests));
+  if (filters.countries.length > 0) {
+    const spellings = filters.countries.flatMap(countrySpellings).map(escapeRegex);
+    const pattern = `^\\s*(?:${spellings.join('|')})\\s*$`;
+    conditions.push({ $or: COUNTRY_FIELDS.map((field) => ({ [field]: { $regex: pattern, $options: 'i' } })) });
+  }
+  if (filters.excludeIds.length > 0) conditions.push({ _id: { $nin: filters.excludeIds.map(toCursorValue) } });
+  return { $and: conditions };
+}
+
+// Identifies a filter set, so filtered sequential runs keep their own cursor
+export function filterKey(filters) {
+  const sorted = Object.fromEntries(Object.entries(filters).map(([key, values]) => [key, [...values].sort()]));
+  return createHash('sha256').update(JSON.stringify(sorted)).digest('hex').slice(0, 12);
+}
+
+export function describeSelection({ strategy, filters }) {
+  const parts = [];
+  if (filters.categories.length > 0) parts.push(`category ~ ${filters.categories.join(' | ')}`);
+  if (filters.interests.length > 0) parts.push(`interests ~ ${filters.interests.join(' | ')}`);
+  if (filters.countries.length > 0) parts.push(`country ${filters.countries.join(', ')}`);
+  if (filters.excludeIds.length > 0) parts.push(`${filters.excludeIds.length} excluded`);
+  return parts.length > 0 ? `${strategy} (${parts.join('; ')})` : strategy;
+}
+
+function lookup(entity, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), entity);
+}
+
+export function entityWeight(entity, weights) {
+  let weight = 1;
+  for (const [field, table] of Object.entries(weights)) {
+    const value = lookup(entity, field);
+    if (value === undefined || value === null) continue;
+    const exact = Object.keys(table).find((key) => !key.startsWith('>=') && key.toLowerCase() === String(value).toLowerCase());
+    if (exact) {
+      weight *= table[exact];
+      continue;
+    }
+    const threshold = Object.keys(table)
+      .filter((key) => key.startsWith('>=') && Number(value) >= Number(key.slice(2)))
+      .sort((a, b) => Number(b.slice(2)) - Number(a.slice(2)))[0];
+    if (threshold) weight *= table[threshold];
+  }
+  return weight;
+}
+
+// Uniform in (0, 1), fixed per seed and entity
+function seededRandom(seed, id) {
+  return (createHash('sha256').update(`${seed}:${id}`).digest().readUInt32BE(0) + 1) / 4294967297;
+}
+
+// Orders the candidates ({ _id, ...weighted fields } from the entity source) for the non-sequential
+// strategies and returns up to `limit` ids. `seed` (the run id) makes random and weighted picks
+// reproducible; `lastPosted` maps entity ids to their newest job for least-recent.
+export function selectEntityIds(candidates, { strategy, weights }, { limit, seed, lastPosted = new Map() }) {
+  const id = (entity) => entity._id.toString();
+  let ordered;
+
+  if (strategy === 'least-recent') {
+    // Never posted first (in _id order), then the longest since the last job
+    ordered = candidates
+      .map((entity) => ({ entity, last: lastPosted.get(id(entity))?.getTime() ?? -Infinity }))
+      .sort((a, b) => a.last - b.last || id(a.entity).localeCompare(id(b.entity)))
+      .map(({ entity }) => entity);
+  } else if (strategy === 'random' || strategy === 'weighted') {
+    // Weighted sampling without replacement: sort by u^(1/w), highest first
+    ordered = candidates
+      .map((entity) => ({ entity, weight: strategy === 'weighted' ? entityWeight(entity, weights) : 1 }))
+      .filter(({ weight }) => weight > 0)
+      .map(({ entity, weight }) => ({ entity, key: Math.pow(seededRandom(seed, id(entity)), 1 / weight) }))
+      .sort((a, b) => b.key - a.key)
+      .map(({ entity }) => entity);
+  } else {
+    throw new SelectionConfigError(`Strategy ${strategy} does not pick entities up front`);
+  }
+  return ordered.slice(0, limit).map(id);
+}
+
+// Full entity documents for the given ids, in the same order; ids that no longer exist are dropped
+export async function fetchEntitiesByIds(EntityModel, ids) {
+  const entities = await EntityModel.find({ _id: { $in: ids.map(toCursorValue) } }).lean();
+  const byId = new Map(entities.map((entity) => [entity._id.toString(), entity]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+}
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import { ELIGIBLE_ENTITY_FILTER, fetchRotationWindow, migrateLegacyIndex, toCursorValue } from './rotation.mjs';
+import { fetchEntitiesByIds } from './entity-selection.mjs';
+
+// Where the generator reads organizations from. A run only calls the methods below, so
+// anything implementing them can stand in for the MongoDB collection. Filters are MongoDB
+// queries built by entity-selection.mjs.
+//   count(filter)                     - number of matching entities
+//   fetchWindow(cursor, limit, filter) - { entities, wrapAt } after the cursor in _id order (see rotation.mjs)
+//   fetchByIds(ids)                   - entities for the ids in the same order, missing ones dropped
+//   findById(id)                      - one entity or null
+//   listCandidates(filter, fields)    - _id and the given fields of every matching entity
+//   cursorAt(position)                - _id at a 1-based position, for state from before the cursor existed
+
+const LobbyingEntitySchema = new mongoose.Schema({}, { collection: 'eu_interest_representatives', strict: false });
+
+export function getEntityModel(connection = mongoose.connection) {
+  return connection.models.LobbyingEntity || connection.model('LobbyingEntity', LobbyingEntitySchema);
+}
+
+export function createMongoEntitySource(connection = mongoose.connection) {
+  const EntityModel = getEntityModel(connection);
+
+  return {
+    name: 'mongo',
+
+    count(filter = ELIGIBLE_ENTITY_FILTER) {
+      return EntityModel.countDocuments(filter);
+    },
+
+    fetchWindow(cursor, limit, filter = ELIGIBLE_ENTITY_FILTER) {
+      return fetchRotationWindow(EntityModel, cursor, limit, filter);
+    },
+
+    fetchByIds(ids) {
+      return fetchEntitiesByIds(EntityModel, ids);
+    },
+
+    // Straight from the collection, so an id that is not an ObjectId is looked up as is instead of failing a cast
+    findById(id) {
+      return EntityModel.collection.findOne({ _id: toCursorValue(id) });
+    },
+
+    listCandidates(filter, fields = []) {
+      return EntityModel.find(filter, { _id: 1, ...Object.fromEntries(fields.map((field) => [field, 1])) }).lean();
+    },
+
+    cursorAt(position) {
+      return migrateLegacyIndex(EntityModel, position);
+    }
+  };
+}
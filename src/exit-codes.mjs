@@ -0,0 +1,23 @@
+// Exit codes of cli.mjs, so the workflow can tell a failed run from one that had nothing to do
+export const EXIT_CODES = {
+  OK: 0,          // done, or nothing to do (no interrupted run to resume, no eligible entities)
+  FAILED: 1,      // the command failed, a run produced no job at all, or verify found problems
+  USAGE: 2,       // unknown command or flag, bad flag value, missing --yes without a terminal
+  CONFIG: 3,      // environment or config file problem (provider, profile, prompts, prices, lint, selection, feed)
+  LOCKED: 4,      // another run holds the state lock
+  NOT_FOUND: 5    // preview: no entity with that id
+};
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
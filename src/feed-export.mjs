@@ -0,0 +1,227 @@
+import { JOB_SOURCE } from './job-schema.mjs';
+import { activeJobExpression, DEFAULT_DEDUPE } from './dedupe.mjs';
+
+// Job-board feeds straight from the Job collection: schema.org JobPosting JSON-LD, an
+// Indeed-style XML feed and RSS 2.0. Every posting is checked for the fields its format
+// requires; one that lacks any is left out of the feed and reported instead.
+
+export const FEED_FORMATS = ['jsonld', 'xml', 'rss'];
+
+// Required per format: Google's JobPosting rich result, Indeed's XML feed spec and RSS 2.0
+export const REQUIRED_FIELDS = {
+  jsonld: ['title', 'description', 'datePosted', 'hiringOrganization.name', 'jobLocation.address.addressCountry'],
+  xml: ['title', 'date', 'referencenumber', 'url', 'company', 'city', 'country', 'description'],
+  rss: ['title', 'link', 'description', 'guid']
+};
+const REQUIRED_CHANNEL_FIELDS = { jsonld: [], xml: ['publisher', 'publisherurl'], rss: ['title', 'link', 'description'] };
+
+export class FeedConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeedConfigError';
+  }
+}
+
+const EMPLOYMENT_TYPES = { 'internship': ['INTERN'], 'fixed-term': ['FULL_TIME', 'TEMPORARY'], 'permanent': ['FULL_TIME'] };
+const INDEED_JOB_TYPES = { 'internship': 'internship', 'fixed-term': 'temporary', 'permanent': 'fulltime' };
+const INDEED_REMOTE_TYPES = { 'Remote': 'Fully remote', 'Hybrid': 'Hybrid remote' };
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+function missingFields(object, fields) {
+  return fields.filter((field) => isBlank(getPath(object, field)));
+}
+
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+// A "]]>" inside the text would end the section early, so it is split across two sections
+const cdata = (value) => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Plain-text descriptions become paragraphs, as job boards expect HTML
+export function descriptionToHtml(text) {
+  return String(text || '').trim().split(/\n\s*\n/)
+    .map((paragraph) => `<p>${escapeXml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+// FEED_JOB_URL is a template such as https://jobs.example.eu/jobs/{slug} ({id} and {slug});
+// without it the feed links the job's applyLink
+export function createJobUrl(template = null) {
+  return (job) => (template
+    ? template.replace(/\{slug\}/g, encodeURIComponent(job.slug || '')).replace(/\{id\}/g, String(job._id))
+    : job.applyLink || '');
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+function originOf(url) {
+  try {
+    return url ? new URL(url).origin : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// Only what the app shows publicly: contact details stay out of the JSON-LD
+export function toJobPosting(job, { jobUrl }) {
+  const remote = job.remote === 'Remote';
+  const posting = {
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: descriptionToHtml(job.description),
+    identifier: { '@type': 'PropertyValue', name: job.companyName, value: String(job._id) },
+    datePosted: toDate(job.createdAt)?.toISOString(),
+    validThrough: job.expiresOn || undefined,
+    employmentType: EMPLOYMENT_TYPES[job.contractType] || ['FULL_TIME'],
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: job.companyName,
+      sameAs: originOf(job.applyLink)
+    },
+    jobLocation: {
+      '@type': 'Place',
+      address: {
+        '@type': 'PostalAddress',
+        streetAddress: job.street || undefined,
+        addressLocality: job.city || undefined,
+        postalCode: job.postalCode ? String(job.postalCode) : undefined,
+        addressCountry: job.countryId || undefined
+      }
+    },
+    url: jobUrl(job) || undefined,
+    directApply: false
+  };
+  if (remote) {
+    posting.jobLocationType = 'TELECOMMUTE';
+    posting.applicantLocationRequirements = { '@type': 'Country', name: job.country };
+  }
+  if (job.salary) {
+    posting.baseSalary = {
+      '@type': 'MonetaryAmount',
+      currency: 'EUR',
+      value: { '@type': 'QuantitativeValue', value: job.salary, unitText: 'YEAR' }
+    };
+  }
+  if (job.educationLevel) {
+    posting.educationRequirements = { '@type': 'EducationalOccupationalCredential', credentialCategory: job.educationLevel === 'bachelor' ? 'bachelor degree' : 'postgraduate degree' };
+  }
+  if (job.skills?.length) posting.skills = job.skills.join(', ');
+  return JSON.parse(JSON.stringify(posting));
+}
+
+function toIndeedJob(job, { jobUrl }) {
+  return {
+    title: job.title,
+    date: toDate(job.createdAt)?.toUTCString(),
+    referencenumber: String(job._id),
+    url: jobUrl(job),
+    company: job.companyName,
+    city: job.city,
+    state: job.state,
+    country: job.countryId,
+    postalcode: job.postalCode,
+    streetaddress: job.street,
+    email: job.contactEmail,
+    description: descriptionToHtml(job.description),
+    salary: job.salary ? `€${job.salary.toLocaleString('en-US')} per year` : undefined,
+    education: job.educationLevel,
+    jobtype: INDEED_JOB_TYPES[job.contractType] || 'fulltime',
+    remotetype: INDEED_REMOTE_TYPES[job.remote],
+    expirationdate: job.expiresOn ? new Date(job.expiresOn).toUTCString() : undefined,
+    category: job.policyAreas?.join(', ')
+  };
+}
+
+function toRssItem(job, { jobUrl }) {
+  return {
+    title: job.companyName && !String(job.title || '').includes(job.companyName) ? `${job.title} at ${job.companyName}` : job.title,
+    link: jobUrl(job),
+    description: descriptionToHtml(job.description),
+    guid: String(job._id),
+    pubDate: toDate(job.createdAt)?.toUTCString(),
+    category: job.seniority
+  };
+}
+
+function renderXml(items, channel, now) {
+  const fields = (item) => Object.entries(item)
+    .filter(([, value]) => !isBlank(value))
+    .map(([name, value]) => `    <${name}>${cdata(value)}</${name}>`)
+    .join('\n');
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<source>',
+    `  <publisher>${escapeXml(channel.publisher)}</publisher>`,
+    `  <publisherurl>${escapeXml(channel.publisherurl)}</publisherurl>`,
+    `  <lastBuildDate>${now.toUTCString()}</lastBuildDate>`,
+    ...items.map((item) => `  <job>\n${fields(item)}\n  </job>`),
+    '</source>',
+    ''
+  ].join('\n');
+}
+
+function renderRss(items, channel, now) {
+  const item = ({ title, link, description, guid, pubDate, category }) => [
+    '    <item>',
+    `      <title>${escapeXml(title)}</title>`,
+    `      <link>${escapeXml(link)}</link>`,
+    `      <description>${escapeXml(description)}</description>`,
+    `      <guid isPermaLink="false">${escapeXml(guid)}</guid>`,
+    pubDate ? `      <pubDate>${pubDate}</pubDate>` : null,
+    category ? `      <category>${escapeXml(category)}</category>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n');
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXml(channel.title)}</title>`,
+    `    <link>${escapeXml(channel.link)}</link>`,
+    `    <description>${escapeXml(channel.description)}</description>`,
+    `    <lastBuildDate>${now.toUTCString()}</lastBuildDate>`,
+    ...items.map(item),
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+const FORMATS = {
+  jsonld: { toItem: toJobPosting, render: (items) => `${JSON.stringify(items, null, 2)}\n` },
+  xml: { toItem: toIndeedJob, render: renderXml },
+  rss: { toItem: toRssItem, render: renderRss }
+};
+
+export function checkFeedChannel(format, channel) {
+  const missing = missingFields(channel, REQUIRED_CHANNEL_FIELDS[format]);
+  if (missing.length > 0) {
+    throw new FeedConfigError(`The ${format} feed needs ${missing.join(', ')}: set FEED_LINK (and FEED_TITLE, FEED_DESCRIPTION)`);
+  }
+}
+
+// channel: { title, link, description } for RSS, { publisher, publisherurl } for XML.
+// Returns { output, exported, invalid: [{ id, title, missing }] }.
+export function exportFeed(jobs, format, { jobUrl = createJobUrl(), channel = {}, now = new Date() } = {}) {
+  const { toItem, render } = FORMATS[format];
+  checkFeedChannel(format, channel);
+
+  const items = [];
+  const invalid = [];
+  for (const job of jobs) {
+    const item = toItem(job, { jobUrl });
+    const missing = missingFields(item, REQUIRED_FIELDS[format]);
+    if (missing.length > 0) invalid.push({ id: String(job._id), title: job.title, missing });
+    else items.push(item);
+  }
+  return { output: render(items, channel, now), exported: items.length, invalid };
+}
+
+// Active jobs only unless includeExpired: not marked expired and not past expiresOn (see dedupe.mjs)
+export function buildExportFilter({ source = JOB_SOURCE, since = null, until = null, seniority = [], includeExpired = false, now = new Date(), activeDays = DEFAULT_DEDUPE.activeDays } = {}) {
+  const filter = { source };
+  if (since || until) filter.createdAt = { ...(since && { $gte: since }), ...(until && { $lt: until }) };
+  if (seniority.length > 0) filter.seniority = { $in: seniority };
+  if (!includeExpired) filter.$expr = activeJobExpression(now, activeDays);
+  return filter;
+}
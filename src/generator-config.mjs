@@ -0,0 +1,169 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { resolveProviderConfig } from './llm-providers.mjs';
+import { DEFAULT_VALIDATION } from './job-validation.mjs';
+import { DEFAULT_DEDUPE } from './dedupe.mjs';
+import { LANGUAGES, DEFAULT_LANGUAGE, parseLanguageSetting } from './languages.mjs';
+import { loadPrices } from './usage.mjs';
+import { parseLintActions, parseBannedPhrases } from './content-lint.mjs';
+import { JOB_SINKS } from './job-sink.mjs';
+import { parseAlertRules, parseNotifyEvents, NotificationConfigError } from './notifications.mjs';
+import { ConfigError } from './exit-codes.mjs';
+
+// Every environment setting of the generator in one object. Nothing here exits the process:
+// a bad value throws (ConfigError, PriceTableError, LintConfigError or NotificationConfigError), so the generator can
+// be configured from code as well as from .env.
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const STATE_STORES = ['mongo', 'file'];
+
+function splitUrls(value) {
+  const urls = String(value || '').split(',').map((url) => url.trim()).filter(Boolean);
+  for (const url of urls) {
+    if (!/^https?:\/\//i.test(url)) throw new NotificationConfigError(`Webhook URL "${url}" must start with http:// or https://`);
+  }
+  return urls;
+}
+
+// Numeric settings: unset or empty uses the fallback, anything else must be a number of 0 or more
+// (above 0 with positive, a whole number unless integer is false)
+function numberSetting(env, key, fallback, { integer = true, positive = false } = {}) {
+  const raw = env[key];
+  if (raw === undefined || String(raw).trim() === '') return Number(fallback);
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || (positive ? value <= 0 : value < 0)) {
+    const kind = integer ? 'a whole number' : 'a number';
+    throw new ConfigError(`${key} must be ${kind} ${positive ? 'above 0' : 'of 0 or more'}, got "${raw}"`);
+  }
+  return value;
+}
+
+const runDefault = (value) => (value === undefined || String(value).trim() === '' ? undefined : String(value).trim());
+
+export function loadGeneratorConfig(env = process.env, { rootDir = ROOT_DIR } = {}) {
+  // Rotation state lives in MongoDB by default; STATE_STORE=file keeps it in rotation-state.json for local use
+  const stateStore = (env.STATE_STORE || 'mongo').toLowerCase();
+  if (!STATE_STORES.includes(stateStore)) {
+    throw new ConfigError(`Unknown STATE_STORE "${stateStore}". Expected mongo or file`);
+  }
+
+  // Posting language: a code from src/languages.mjs, or 'auto' to use the language of the entity's head-office country
+  const language = parseLanguageSetting(env.JOB_LANGUAGE || DEFAULT_LANGUAGE);
+  if (!language) {
+    throw new ConfigError(`Unsupported JOB_LANGUAGE "${env.JOB_LANGUAGE}". Expected auto or one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+
+  // Where jobs go: mongo, or jsonl/csv (JOB_SINK_FILE) and stdout for review before import
+  const sink = (env.JOB_SINK || 'mongo').toLowerCase();
+  if (!JOB_SINKS.includes(sink)) {
+    throw new ConfigError(`Unknown JOB_SINK "${sink}". Expected one of: ${JOB_SINKS.join(', ')}`);
+  }
+
+  // LLM provider: openai, azure, compatible (self-hosted OpenAI-compatible API) or mock.
+  // Kept unresolved when missing, since callers may pass their own provider.
+  const provider = resolveProviderConfig(env);
+
+  const reportsDir = runDefault(env.REPORTS_DIR);
+
+  return {
+    mongodbUri: env.MONGODB_URI || env.MONGO_URI || null,
+    dbName: env.MONGODB_DB_NAME || 'test',
+    sink: { type: sink, file: env.JOB_SINK_FILE || null },
+
+    stateStore,
+    stateFile: join(rootDir, 'rotation-state.json'),
+    lockTtlMs: numberSetting(env, 'STATE_LOCK_TTL_MS', 600000, { positive: true }),
+    lockWaitMs: numberSetting(env, 'STATE_LOCK_WAIT_MS', 0),
+    // JSON and Markdown report per run; with STATE_STORE=file the run history is kept here too.
+    // REPORTS_DIR=none (null) writes no reports, and with the file store keeps no history
+    reportsDir: reportsDir?.toLowerCase() === 'none' ? null : reportsDir || join(rootDir, 'reports'),
+    stepSummaryFile: env.GITHUB_STEP_SUMMARY || null,
+
+    provider: provider.config || null,
+    providerError: provider.error || null,
+    // Token prices (USD per 1M tokens) for cost accounting; LLM_PRICES_FILE adds models to the built-in table
+    prices: loadPrices(env.LLM_PRICES_FILE),
+
+    // Output validation: how many times the model may repair a rejected response before the template is used
+    repairAttempts: numberSetting(env, 'LLM_REPAIR_ATTEMPTS', 2),
+    validation: {
+      minWords: numberSetting(env, 'JOB_MIN_WORDS', DEFAULT_VALIDATION.minWords),
+      maxWords: numberSetting(env, 'JOB_MAX_WORDS', DEFAULT_VALIDATION.maxWords)
+    },
+    // Content lint before insert: LINT_RULES overrides rule actions ("salary:warn,markdown:reject"),
+    // LINT_BANNED_PHRASES adds comma-separated phrases to the built-in list
+    lint: { actions: parseLintActions(env.LINT_RULES), bannedPhrases: parseBannedPhrases(env.LINT_BANNED_PHRASES) },
+
+    rateLimit: {
+      requestsPerSecond: numberSetting(env, 'LLM_REQUESTS_PER_SECOND', 8, { integer: false, positive: true }),
+      maxInFlight: numberSetting(env, 'LLM_MAX_IN_FLIGHT', 10, { positive: true })
+    },
+    retry: {
+      retries: numberSetting(env, 'LLM_MAX_RETRIES', 4),
+      baseDelayMs: numberSetting(env, 'LLM_RETRY_BASE_MS', 1000),
+      maxDelayMs: numberSetting(env, 'LLM_RETRY_MAX_MS', 60000)
+    },
+
+    // Apply links: probe the entity's website for a careers page (CAREERS_PROBE=off uses the homepage),
+    // with results cached per site in careers-cache.json (STATE_STORE=file) or the careers_pages collection
+    contacts: {
+      probe: (env.CAREERS_PROBE || 'on').toLowerCase() !== 'off',
+      timeoutMs: numberSetting(env, 'CAREERS_PROBE_TIMEOUT_MS', 5000, { positive: true }),
+      siteTimeoutMs: numberSetting(env, 'CAREERS_PROBE_SITE_TIMEOUT_MS', 10000, { positive: true }),
+      cacheDays: numberSetting(env, 'CAREERS_CACHE_DAYS', 30, { integer: false }),
+      cacheFile: join(rootDir, 'careers-cache.json')
+    },
+
+    language,
+    // Jobs close this many days after generation; the same date is stated in the text and stored as expiresOn
+    applicationDeadlineDays: numberSetting(env, 'APPLICATION_DEADLINE_DAYS', 30, { integer: false }),
+    // Duplicate prevention, checked before any LLM call (0 disables a check)
+    dedupe: {
+      cooldownDays: numberSetting(env, 'ENTITY_COOLDOWN_DAYS', DEFAULT_DEDUPE.cooldownDays, { integer: false }),
+      maxActiveJobs: numberSetting(env, 'ENTITY_MAX_ACTIVE_JOBS', DEFAULT_DEDUPE.maxActiveJobs),
+      activeDays: numberSetting(env, 'JOB_ACTIVE_DAYS', DEFAULT_DEDUPE.activeDays, { integer: false })
+    },
+
+    // Job-board feeds (node cli.mjs export): FEED_LINK is the site the feed belongs to, FEED_JOB_URL
+    // a template for each job's page ({slug}, {id}); without it feeds link the applyLink
+    feed: {
+      title: env.FEED_TITLE || 'EU public affairs jobs',
+      description: env.FEED_DESCRIPTION || 'Jobs at organizations in the EU Transparency Register',
+      link: env.FEED_LINK || null,
+      jobUrl: env.FEED_JOB_URL || null
+    },
+
+    // Run notifications: SLACK_WEBHOOK_URL gets Slack messages, NOTIFY_WEBHOOK_URL the JSON payload (both
+    // comma-separated). NOTIFY_ALERTS sets the thresholds that turn a finished run into an alert.
+    notify: {
+      webhooks: [
+        ...splitUrls(env.SLACK_WEBHOOK_URL).map((url) => ({ url, format: 'slack' })),
+        ...splitUrls(env.NOTIFY_WEBHOOK_URL).map((url) => ({ url, format: 'json' }))
+      ],
+      events: parseNotifyEvents(env.NOTIFY_EVENTS),
+      alerts: parseAlertRules(env.NOTIFY_ALERTS),
+      timeoutMs: numberSetting(env, 'NOTIFY_TIMEOUT_MS', 5000, { positive: true }),
+      // Links the GitHub Actions run the notification came from
+      runUrl: env.GITHUB_RUN_ID && env.GITHUB_REPOSITORY
+        ? `${env.GITHUB_SERVER_URL || 'https://github.com'}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+        : null
+    },
+
+    // Defaults for the run options (command line flags win); checked by resolveGenerateOptions().
+    // Empty values count as unset: the workflow passes '' for repository variables that are not defined
+    runDefaults: {
+      profile: runDefault(env.JOB_PROFILE),
+      promptVariants: runDefault(env.PROMPT_VARIANTS),
+      maxCost: runDefault(env.RUN_MAX_COST),
+      maxTokens: runDefault(env.RUN_MAX_TOKENS),
+      onBudget: runDefault(env.BUDGET_EXHAUSTED_ACTION),
+      strategy: runDefault(env.ENTITY_STRATEGY),
+      categories: runDefault(env.ENTITY_CATEGORIES),
+      interests: runDefault(env.ENTITY_INTERESTS),
+      countries: runDefault(env.ENTITY_COUNTRIES),
+      exclude: runDefault(env.ENTITY_EXCLUDE_IDS),
+      weightsFile: runDefault(env.ENTITY_WEIGHTS_FILE)
+    }
+  };
+}
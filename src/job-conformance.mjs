@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Checks a job record against the Job schema before it is stored. Mongoose would otherwise
+// drop fields the schema does not define (strict mode) and cast values of the wrong type
+// without a word. Returns { unknown: [path], coerced: [{ path, from, to }], invalid: [{ path, message }] };
+// only invalid fields stop a job from being inserted.
+
+const sameValue = (original, cast) =>
+  original === cast ||
+  (original instanceof Date && cast instanceof Date && original.getTime() === cast.getTime()) ||
+  (original instanceof mongoose.Types.ObjectId && cast instanceof mongoose.Types.ObjectId && original.equals(cast));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Walks the record next to the schema. prefix is the path inside `schema` (nested objects share
+// their parent's schema), at the path of the record that starts at `schema`.
+function walk(schema, record, cast, { at, prefix = '' }, findings) {
+  for (const [key, value] of Object.entries(record)) {
+    if (value === undefined || value === null) continue;
+    const schemaPath = `${prefix}${key}`;
+    const path = `${at}${key}`;
+    const castValue = cast?.[key];
+    const pathType = schema.pathType(schemaPath);
+
+    if (pathType === 'nested') {
+      if (isPlainObject(value)) walk(schema, value, castValue, { at: `${path}.`, prefix: `${schemaPath}.` }, findings);
+      continue;
+    }
+    if (pathType !== 'real') {
+      findings.unknown.push(path);
+      continue;
+    }
+
+    const schemaType = schema.path(schemaPath);
+    if (schemaType.$isMongooseDocumentArray) {
+      if (!Array.isArray(value)) continue;
+      value.forEach((item, k) => {
+        if (isPlainObject(item)) walk(schemaType.schema, item, castValue?.[k], { at: `${path}.${k}.` }, findings);
+      });
+    } else if (Array.isArray(value)) {
+      value.forEach((item, k) => {
+        if (castValue?.[k] !== undefined && !sameValue(item, castValue[k])) findings.coerced.push({ path: `${path}.${k}`, from: item, to: castValue[k] });
+      });
+    } else if (castValue !== undefined && !sameValue(value, castValue)) {
+      findings.coerced.push({ path, from: value, to: castValue });
+    }
+  }
+}
+
+export function checkJobConformance(JobModel, job) {
+  const doc = new JobModel(job);
+  const findings = { unknown: [], coerced: [], invalid: [] };
+  walk(JobModel.schema, job, doc.toObject({ depopulate: true, getters: false, virtuals: false }), { at: '' }, findings);
+  const error = doc.validateSync();
+  if (error) {
+    findings.invalid = Object.entries(error.errors).map(([path, item]) => ({ path, message: item.message }));
+  }
+  // A failed cast is reported as invalid rather than as a coercion
+  const invalidPaths = new Set(findings.invalid.map((item) => item.path));
+  findings.coerced = findings.coerced.filter((item) => !invalidPaths.has(item.path));
+  return findings;
+}
+
+export function formatConformance({ unknown, coerced, invalid }) {
+  return [
+    ...invalid.map(({ path, message }) => `invalid ${path}: ${message}`),
+    ...unknown.map((path) => `unknown field ${path} (dropped)`),
+    ...coerced.map(({ path, from, to }) => `${path} coerced from ${JSON.stringify(from)} to ${JSON.stringify(to)}`)
+  ];
+}
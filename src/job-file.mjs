@@ -0,0 +1,148 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { JobSchema } from './job-schema.mjs';
+
+// Job records as files, for review before they go live: JSONL (one record per line) or CSV
+// (one column per Job field, arrays and nested objects as JSON in their cell). Both keep the
+// record's _id, so the import command can tell a record that is already in the database.
+
+export const JOB_FILE_FORMATS = ['jsonl', 'csv'];
+
+export const CSV_COLUMNS = ['_id', ...Object.keys(JobSchema.obj)];
+const JSON_COLUMNS = new Set(CSV_COLUMNS.filter((column) => JobSchema.pathType(column) === 'nested' || JobSchema.path(column)?.instance === 'Array'));
+
+export class JobFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobFileError';
+  }
+}
+
+export function formatFromPath(path) {
+  const extension = extname(path).slice(1).toLowerCase();
+  if (extension === 'json' || extension === 'ndjson') return 'jsonl';
+  return JOB_FILE_FORMATS.includes(extension) ? extension : null;
+}
+
+export function toJsonLine(job) {
+  return `${JSON.stringify(job)}\n`;
+}
+
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value instanceof Date ? value.toISOString() : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvHeader() {
+  return `${CSV_COLUMNS.join(',')}\n`;
+}
+
+// _id is an ObjectId in generated records; String() gives its hex form
+export function toCsvRow(job) {
+  return `${CSV_COLUMNS.map((column) => escapeCsv(column === '_id' && job._id ? String(job._id) : job[column])).join(',')}\n`;
+}
+
+// RFC 4180: quoted cells may contain commas, doubled quotes and line breaks (descriptions do)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      rowLine = ++line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new JobFileError(`Unterminated quoted cell starting on line ${rowLine}`);
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter(({ cells }) => cells.some((value) => value !== ''));
+}
+
+function readCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const unknown = header.cells.filter((column) => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) throw new JobFileError(`Unknown CSV columns: ${unknown.join(', ')}`);
+
+  return rows.map(({ line, cells }) => {
+    if (cells.length !== header.cells.length) {
+      throw new JobFileError(`Line ${line}: ${cells.length} cells, the header has ${header.cells.length}`);
+    }
+    // Empty cells are left out so schema defaults apply; Mongoose casts the remaining strings
+    const record = {};
+    header.cells.forEach((column, k) => {
+      if (cells[k] === '') return;
+      if (!JSON_COLUMNS.has(column)) {
+        record[column] = cells[k];
+        return;
+      }
+      try {
+        record[column] = JSON.parse(cells[k]);
+      } catch (error) {
+        throw new JobFileError(`Line ${line}: column ${column} is not valid JSON (${error.message})`);
+      }
+    });
+    return { line, record };
+  });
+}
+
+function readJsonl(text) {
+  const records = [];
+  text.split(/\r?\n/).forEach((content, k) => {
+    if (!content.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(content);
+    } catch (error) {
+      throw new JobFileError(`Line ${k + 1}: not valid JSON (${error.message})`);
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new JobFileError(`Line ${k + 1}: expected a JSON object`);
+    }
+    records.push({ line: k + 1, record });
+  });
+  return records;
+}
+
+// Returns [{ line, record }] with the line each record starts on, for error messages
+export function readJobFile(path, format = formatFromPath(path)) {
+  if (!JOB_FILE_FORMATS.includes(format)) {
+    throw new JobFileError(`Cannot tell the format of ${path}. Expected a .jsonl or .csv file, or pass --format`);
+  }
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (error) {
+    throw new JobFileError(`Cannot read ${path}: ${error.message}`);
+  }
+  return format === 'csv' ? readCsv(text) : readJsonl(text);
+}
@@ -0,0 +1,59 @@
+// insertMany with slug collision handling: a job whose slug already exists gets a new
+// slug and is inserted again instead of being dropped by { ordered: false }.
+
+function isSlugCollision(error) {
+  return error?.code === 11000 && /slug/.test(error.errmsg || error.message || '');
+}
+
+// Returns { inserted, regenerated, failed: [{ job, error }] }.
+// regenerateSlug(job, attempt) must return a slug different from the previous one.
+export async function insertJobs(JobModel, jobs, { regenerateSlug, maxSlugAttempts = 3 }) {
+  const result = { inserted: 0, regenerated: 0, failed: [] };
+
+  // Collisions with jobs already in the database or within this batch are fixed up front
+  const existing = new Set((await JobModel.find({ slug: { $in: jobs.map((job) => job.slug) } }, { slug: 1 }).lean())
+    .map((doc) => doc.slug));
+  const seen = new Set();
+  for (const job of jobs) {
+    let attempt = 0;
+    while ((existing.has(job.slug) || seen.has(job.slug)) && attempt < maxSlugAttempts) {
+      job.slug = regenerateSlug(job, ++attempt);
+      result.regenerated++;
+    }
+    seen.add(job.slug);
+  }
+
+  let pending = jobs;
+  for (let attempt = 1; pending.length > 0; attempt++) {
+    let writeErrors = [];
+    try {
+      const res = await JobModel.insertMany(pending, { ordered: false, rawResult: true });
+      result.inserted += res.insertedCount;
+    } catch (error) {
+      writeErrors = error.writeErrors || [];
+      // Not a per-document failure (e.g. connection lost): nothing is known to be inserted
+      if (writeErrors.length === 0) {
+        result.failed.push(...pending.map((job) => ({ job, error: error.message })));
+        return result;
+      }
+      result.inserted += error.insertedDocs?.length ?? pending.length - writeErrors.length;
+    }
+
+    const retry = [];
+    for (const writeError of writeErrors) {
+      const job = pending[writeError.index];
+      const cause = writeError.err || writeError;
+      // A concurrent insert can still take the slug between the check above and insertMany
+      if (isSlugCollision(cause) && attempt < maxSlugAttempts) {
+        job.slug = regenerateSlug(job, attempt);
+        result.regenerated++;
+        retry.push(job);
+      } else {
+        result.failed.push({ job, error: cause.errmsg || cause.message || String(cause) });
+      }
+    }
+    pending = retry;
+  }
+
+  return result;
+}
@@ -0,0 +1,47 @@
+// Job lifecycle maintenance (node cli.mjs maintain): generated jobs past their application
+// deadline are expired, archived or deleted.
+
+const CHUNK_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAINTAIN_ACTIONS = ['expire', 'archive', 'delete'];
+export const ARCHIVE_COLLECTION = 'jobs_archive';
+
+// Jobs past their deadline; jobs from before expiresOn was set fall back to their age
+export function buildMaintenanceFilter({ action, source, olderThanDays = null, legacyDays }, now = new Date()) {
+  const filter = {
+    source,
+    $or: [
+      { expiresOn: { $lt: now.toISOString(), $nin: [null, ''] } },
+      { expiresOn: { $in: [null, ''] }, createdAt: { $lt: new Date(now.getTime() - legacyDays * DAY_MS) } }
+    ]
+  };
+  if (olderThanDays !== null) {
+    filter.createdAt = { $lt: new Date(now.getTime() - olderThanDays * DAY_MS) };
+  }
+  if (action === 'expire') {
+    filter.status = { $ne: 'expired' };
+  }
+  return filter;
+}
+
+// Copies matching jobs to the archive collection in chunks, then removes them from the Job collection
+export async function archiveJobs(JobModel, connection, filter) {
+  const archive = connection.collection(ARCHIVE_COLLECTION);
+  let archived = 0;
+  for (;;) {
+    const docs = await JobModel.collection.find(filter).limit(CHUNK_SIZE).toArray();
+    if (docs.length === 0) break;
+    const archivedAt = new Date();
+    try {
+      await archive.insertMany(docs.map((doc) => ({ ...doc, archivedAt })), { ordered: false });
+    } catch (error) {
+      // Already archived by an earlier interrupted run: safe to delete from jobs
+      if (!(error.writeErrors || []).every((writeError) => (writeError.err || writeError).code === 11000)) throw error;
+    }
+    const { deletedCount } = await JobModel.collection.deleteMany({ _id: { $in: docs.map((doc) => doc._id) } });
+    archived += deletedCount;
+    console.log(`   📦 Archived ${archived} jobs...`);
+  }
+  return archived;
+}
@@ -0,0 +1,173 @@
+import { CONTRACT_TYPES } from './profiles.mjs';
+
+// Structured fields stored next to the free-text description for faceted search. Every
+// value comes from a controlled vocabulary below; the schema enums use the same lists, so
+// a value outside them can never reach the database.
+
+export const POLICY_AREAS = [
+  'agriculture-food', 'fisheries-maritime', 'climate', 'environment', 'energy', 'transport', 'digital',
+  'trade', 'competition', 'internal-market', 'economy-finance', 'health', 'employment-social',
+  'education-culture', 'research-innovation', 'justice-home-affairs', 'foreign-affairs', 'consumers',
+  'regional-policy', 'institutional-affairs'
+];
+
+// Transparency Register interests ("Agriculture and rural development", "Climate action", ...) by keyword;
+// one interest can map to several areas
+const POLICY_AREA_KEYWORDS = {
+  'agriculture-food': /agricultur|rural|food/,
+  'fisheries-maritime': /fisher|maritime|ocean/,
+  'climate': /climate/,
+  'environment': /environment|biodiversity|circular econom|pollution|water/,
+  'energy': /energy/,
+  'transport': /transport|mobility|aviation|shipping/,
+  'digital': /digital|telecom|information society|cyber|audiovisual|media/,
+  'trade': /trade|customs/,
+  'competition': /competition|state aid/,
+  'internal-market': /internal market|single market|enterprise|industr|growth|\bsmes?\b/,
+  'economy-finance': /econom(?!y and society)|financ|banking|\beuro\b|taxation|budget/,
+  'health': /health|pharma/,
+  'employment-social': /employment|social|labour/,
+  'education-culture': /education|training|\bculture|youth|\bsports?\b/,
+  'research-innovation': /research|innovation|space/,
+  'justice-home-affairs': /justice|fundamental rights|home affairs|migration|asylum|borders/,
+  'foreign-affairs': /foreign affairs|external relations|enlargement|development (?:aid|co-?operation|policy)|humanitarian|neighbourhood|international co-?operation/,
+  'consumers': /consumer/,
+  'regional-policy': /regional|cohesion|urban/,
+  'institutional-affairs': /institutional|better regulation|transparency/
+};
+
+export const SKILLS = [
+  'policy-analysis', 'advocacy', 'stakeholder-engagement', 'legislative-monitoring', 'regulatory-affairs',
+  'research', 'policy-writing', 'communications', 'media-relations', 'public-speaking', 'event-management',
+  'project-management', 'coalition-building', 'negotiation', 'data-analysis', 'team-leadership',
+  'budget-management', 'membership-relations', 'eu-funding', 'crm-tools'
+];
+
+// Names models tend to use instead of the vocabulary terms
+const SKILL_ALIASES = {
+  'lobbying': 'advocacy',
+  'public-affairs': 'advocacy',
+  'stakeholder-management': 'stakeholder-engagement',
+  'stakeholder-relations': 'stakeholder-engagement',
+  'legislative-tracking': 'legislative-monitoring',
+  'policy-monitoring': 'legislative-monitoring',
+  'regulatory-analysis': 'regulatory-affairs',
+  'writing': 'policy-writing',
+  'drafting': 'policy-writing',
+  'communication': 'communications',
+  'press-relations': 'media-relations',
+  'events': 'event-management',
+  'event-organisation': 'event-management',
+  'event-organization': 'event-management',
+  'data-analytics': 'data-analysis',
+  'leadership': 'team-leadership',
+  'people-management': 'team-leadership',
+  'member-relations': 'membership-relations',
+  'eu-funding-programmes': 'eu-funding',
+  'crm': 'crm-tools'
+};
+
+// Used for template postings and when the model returns too few usable skills
+const DEFAULT_SKILLS = {
+  'intern': ['research', 'policy-writing', 'legislative-monitoring', 'event-management'],
+  'junior': ['policy-analysis', 'legislative-monitoring', 'stakeholder-engagement', 'policy-writing'],
+  'mid-level': ['policy-analysis', 'advocacy', 'stakeholder-engagement', 'project-management', 'coalition-building'],
+  'senior': ['advocacy', 'team-leadership', 'negotiation', 'coalition-building', 'budget-management']
+};
+
+export const MIN_SKILLS = 3;
+export const MAX_SKILLS = 6;
+
+// The 24 official EU languages
+export const LANGUAGE_CODES = ['bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fr', 'ga', 'hr', 'hu', 'it', 'lt',
+  'lv', 'mt', 'nl', 'pl', 'pt', 'ro', 'sk', 'sl', 'sv'];
+export const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Minimum degree; the prompts ask for "Master's or PhD" from mid-level up, so master is the floor there
+export const EDUCATION_LEVELS = ['bachelor', 'master', 'phd'];
+const EDUCATION_BY_SENIORITY = { 'intern': 'bachelor', 'junior': 'master', 'mid-level': 'master', 'senior': 'master' };
+
+export const REMOTE_POLICIES = ['On-site', 'Hybrid', 'Remote'];
+
+export { CONTRACT_TYPES };
+
+export function mapPolicyAreas(interests) {
+  const text = (Array.isArray(interests) ? interests : []).map((interest) => String(interest).toLowerCase());
+  return POLICY_AREAS.filter((area) => text.some((interest) => POLICY_AREA_KEYWORDS[area].test(interest)));
+}
+
+// Keeps vocabulary terms (and known aliases) in the order given; returns the unknown ones separately
+export function normalizeSkills(skills) {
+  const known = [];
+  const unknown = [];
+  for (const skill of Array.isArray(skills) ? skills : []) {
+    const slug = String(skill).toLowerCase().trim().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const term = SKILLS.includes(slug) ? slug : SKILL_ALIASES[slug];
+    if (!term) unknown.push(String(skill));
+    else if (!known.includes(term)) known.push(term);
+  }
+  return { skills: known.slice(0, MAX_SKILLS), unknown };
+}
+
+// Mirrors the language requirement the prompt states for the posting language
+export function languageRequirements(language, seniority) {
+  if (language === 'en') {
+    const other = seniority === 'senior' ? 'C1' : 'B2';
+    return [
+      { code: 'en', level: 'C1', mandatory: true },
+      { code: 'fr', level: other, mandatory: false },
+      { code: 'de', level: other, mandatory: false }
+    ];
+  }
+  return [
+    { code: language, level: 'C1', mandatory: true },
+    { code: 'en', level: 'C1', mandatory: true }
+  ];
+}
+
+export function remotePolicy(officeDays) {
+  if (officeDays === 0) return 'Remote';
+  if (officeDays === 5) return 'On-site';
+  return 'Hybrid';
+}
+
+// skills: what the model returned (null for template postings)
+// Returns { metadata, unknownSkills }
+export function buildJobMetadata({ interests, seniority, config, language, skills = null }) {
+  const normalized = normalizeSkills(skills);
+  return {
+    metadata: {
+      policyAreas: mapPolicyAreas(interests),
+      skills: normalized.skills.length >= MIN_SKILLS ? normalized.skills : DEFAULT_SKILLS[seniority],
+      languageRequirements: languageRequirements(language, seniority),
+      educationLevel: EDUCATION_BY_SENIORITY[seniority],
+      contractType: config.contract.type,
+      contractMonths: config.contract.durationMonths ?? null,
+      remote: remotePolicy(config.officeDays)
+    },
+    unknownSkills: normalized.unknown
+  };
+}
+
+// Returns a list of problems; an empty list means every value is in its vocabulary
+export function validateJobMetadata(metadata) {
+  const errors = [];
+  const outside = (values, vocabulary) => values.filter((value) => !vocabulary.includes(value));
+
+  const areas = outside(metadata.policyAreas, POLICY_AREAS);
+  if (areas.length > 0) errors.push(`unknown policy area(s): ${areas.join(', ')}`);
+  const skills = outside(metadata.skills, SKILLS);
+  if (skills.length > 0) errors.push(`unknown skill(s): ${skills.join(', ')}`);
+  if (metadata.skills.length < MIN_SKILLS || metadata.skills.length > MAX_SKILLS) {
+    errors.push(`${metadata.skills.length} skills, expected ${MIN_SKILLS}-${MAX_SKILLS}`);
+  }
+  for (const requirement of metadata.languageRequirements) {
+    if (!LANGUAGE_CODES.includes(requirement.code) || !CEFR_LEVELS.includes(requirement.level)) {
+      errors.push(`invalid language requirement ${requirement.code}:${requirement.level}`);
+    }
+  }
+  if (!EDUCATION_LEVELS.includes(metadata.educationLevel)) errors.push(`unknown education level ${metadata.educationLevel}`);
+  if (!CONTRACT_TYPES.includes(metadata.contractType)) errors.push(`unknown contract type ${metadata.contractType}`);
+  if (!REMOTE_POLICIES.includes(metadata.remote)) errors.push(`unknown remote policy ${metadata.remote}`);
+  return errors;
+}
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import { POLICY_AREAS, SKILLS, LANGUAGE_CODES, CEFR_LEVELS, EDUCATION_LEVELS, CONTRACT_TYPES, REMOTE_POLICIES } from './job-metadata.mjs';
+import { CONTACT_SOURCES } from './contact-resolver.mjs';
+
+export const JOB_SOURCE = 'scheduled-rotated-generator';
+
+// Job Schema, shared with the main app: it imports createJobSchema() from this module
+// (package export scheduled-job-generator/job-schema) instead of keeping its own copy, so both
+// validate the same fields. Field definitions only use built-in types, so the definition works
+// with the app's own mongoose instance.
+export const jobSchemaDefinition = {
+  title: { type: String },
+  slug: { type: String, unique: true, sparse: true },
+  description: { type: String, required: true },
+  companyName: { type: String },
+  entityId: { type: String, index: true },
+  type: { type: String },
+  salary: { type: Number },
+  country: { type: String },
+  state: { type: String },
+  city: { type: String },
+  countryId: { type: String },
+  stateId: { type: String },
+  cityId: { type: String },
+  postalCode: { type: Number },
+  street: { type: String },
+  jobIcon: { type: String },
+  contactName: { type: String },
+  contactPhone: { type: String },
+  contactEmail: { type: String },
+  applyLink: { type: String },
+  // Where applyLink and contactEmail came from (see contact-resolver.mjs); 'guessed' was never checked
+  contactSource: {
+    applyLink: { type: String, enum: CONTACT_SOURCES },
+    contactEmail: { type: String, enum: CONTACT_SOURCES }
+  },
+  source: { type: String },
+  // ISO timestamp of the application deadline stated in the description
+  expiresOn: { type: String },
+  status: { type: String, enum: ['active', 'expired'], default: 'active' },
+  expiredAt: { type: Date },
+  seniority: { type: String, enum: ["intern", "junior", "mid-level", "senior"], required: true },
+  // ISO 639-1 code of the posting language
+  language: { type: String, index: true },
+  // Structured fields for faceted search, from the vocabularies in job-metadata.mjs
+  policyAreas: { type: [{ type: String, enum: POLICY_AREAS }], index: true },
+  skills: { type: [{ type: String, enum: SKILLS }], index: true },
+  languageRequirements: [{
+    _id: false,
+    code: { type: String, enum: LANGUAGE_CODES },
+    level: { type: String, enum: CEFR_LEVELS },
+    mandatory: { type: Boolean }
+  }],
+  educationLevel: { type: String, enum: EDUCATION_LEVELS },
+  contractType: { type: String, enum: CONTRACT_TYPES, index: true },
+  // null for permanent contracts
+  contractMonths: { type: Number },
+  remote: { type: String, enum: REMOTE_POLICIES, index: true },
+  userWorkosId: { type: String },
+  plan: { type: String, enum: ['pending', 'basic', 'pro', 'recruiter', 'unlimited'], default: 'pending' },
+  blockAIApplications: { type: Boolean, default: true },
+  // How the description was produced, so template fallbacks can be traced back to a cause
+  generation: {
+    method: { type: String, enum: ['llm', 'llm-repaired', 'template'] },
+    provider: { type: String },
+    model: { type: String },
+    attempts: { type: Number },
+    runId: { type: String },
+    // Prompt variant and its version, e.g. standard@1.0.0+3f9a2c1b (content hash)
+    promptVariant: { type: String },
+    promptVersion: { type: String },
+    // Tokens over all attempts for this job; cost in USD from the price table
+    usage: {
+      calls: { type: Number },
+      promptTokens: { type: Number },
+      completionTokens: { type: Number },
+      totalTokens: { type: Number },
+      cost: { type: Number }
+    },
+    fallbackReason: { type: String },
+    // Content lint findings for rules set to warn ("rule: message")
+    lintWarnings: [{ type: String }],
+    // Skills the model returned that are not in the vocabulary and could not be mapped onto it
+    droppedSkills: [{ type: String }],
+    validationErrors: [{ type: String }]
+  },
+  // Generation profile (profiles/*.json) the seniority mix, salary and benefits came from
+  profile: {
+    name: { type: String },
+    version: { type: String }
+  }
+};
+
+export function generateSlug(title, companyName, id) {
+  const processString = (str) =>
+    (str || '').toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-').replace(/-+/g, '-').trim();
+  const titleSlug = processString(title) || 'untitled';
+  const companySlug = processString(companyName) || 'unknown-company';
+  const shortId = id.slice(-6);
+  return `${titleSlug}-at-${companySlug}-${shortId}`;
+}
+
+export function createJobSchema(Schema = mongoose.Schema) {
+  const schema = new Schema(jobSchemaDefinition, { timestamps: true });
+  schema.pre('save', function(next) {
+    if (this.isModified('title') || this.isModified('companyName') || !this.slug) {
+      this.slug = generateSlug(this.title, this.companyName, this._id.toString());
+    }
+    next();
+  });
+  return schema;
+}
+
+export const JobSchema = createJobSchema();
+
+export function getJobModel(connection = mongoose.connection) {
+  return connection.models.Job || connection.model('Job', JobSchema);
+}
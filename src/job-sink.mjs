@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { appendFileSync, existsSync, mkdirSync, statSync } from 'fs';
+import { dirname } from 'path';
+import { getJobModel, generateSlug } from './job-schema.mjs';
+import { insertJobs } from './job-insert.mjs';
+import { findEntityJobActivity } from './dedupe.mjs';
+import { toJsonLine, toCsvRow, csvHeader } from './job-file.mjs';
+
+// Where generated jobs go. A run calls:
+//   insert(jobs)                       - returns { inserted, regenerated, failed: [{ job, error }] }
+//   findActivity(entities, options)    - optional: Map<entityId, { activeCount, lastPostedAt }> for duplicate
+//                                        prevention (see dedupe.mjs); without it no entity is skipped
+//   lastPostedByEntity(source)         - optional: Map<entityId, Date> of each entity's newest job, for the
+//                                        least-recent strategy; without it every entity counts as never posted
+// name and location describe the sink in the run output.
+
+export const JOB_SINKS = ['mongo', 'jsonl', 'csv', 'stdout'];
+
+function writtenAll(jobs) {
+  return { inserted: jobs.length, regenerated: 0, failed: [] };
+}
+
+export function createMongoJobSink(connection = mongoose.connection) {
+  const JobModel = getJobModel(connection);
+
+  return {
+    name: 'mongo',
+    // Read when printed, since the connection is usually opened after the sink is created
+    get location() {
+      return `${connection.name || 'database'}.${JobModel.collection.collectionName}`;
+    },
+
+    insert(jobs) {
+      return insertJobs(JobModel, jobs, {
+        regenerateSlug: (job) => generateSlug(job.title, job.companyName, new mongoose.Types.ObjectId().toString())
+      });
+    },
+
+    findActivity(entities, options) {
+      return findEntityJobActivity(JobModel, entities, options);
+    },
+
+    // Jobs from before entityId was stored are not counted
+    async lastPostedByEntity(source) {
+      const rows = await JobModel.aggregate([
+        { $match: { source, entityId: { $exists: true } } },
+        { $group: { _id: '$entityId', lastPostedAt: { $max: '$createdAt' } } }
+      ]);
+      return new Map(rows.map((row) => [row._id, row.lastPostedAt]));
+    }
+  };
+}
+
+// Appends to the file (a resumed run adds to what it wrote before); the CSV header is written
+// once, when the file is new or empty. Slugs are only checked for collisions on import.
+export function createFileJobSink(path, format) {
+  return {
+    name: format,
+    location: path,
+
+    async insert(jobs) {
+      mkdirSync(dirname(path), { recursive: true });
+      const header = format === 'csv' && (!existsSync(path) || statSync(path).size === 0) ? csvHeader() : '';
+      appendFileSync(path, header + jobs.map(format === 'csv' ? toCsvRow : toJsonLine).join(''));
+      return writtenAll(jobs);
+    }
+  };
+}
+
+// JSONL on stdout, for piping into other tools; progress messages then belong on stderr
+export function createStdoutJobSink(stream = process.stdout) {
+  return {
+    name: 'stdout',
+    location: 'stdout',
+
+    async insert(jobs) {
+      stream.write(jobs.map(toJsonLine).join(''));
+      return writtenAll(jobs);
+    }
+  };
+}
@@ -0,0 +1,370 @@
+// Fallback job postings used when the LLM gives no valid output, one per posting language.
+// Each template receives the same context and uses the language's section headings.
+
+// Language-neutral KPI targets that the templates phrase in their own words
+const SENIORITY_TARGETS = {
+  'intern': { satisfaction: 85, stakeholders: 10, accuracy: 90 },
+  'junior': { satisfaction: 90, stakeholders: 15, accuracy: 95 },
+  'mid-level': { satisfaction: 95, stakeholders: 25, accuracy: 95 },
+  'senior': { satisfaction: 95, stakeholders: 50, accuracy: 95 }
+};
+
+// One "- benefit" line per profile benefit
+const benefitLines = (c) => c.benefits.map((benefit) => `- ${benefit}`).join('\n');
+
+const TEMPLATES = {
+  en: (c, s, t) => ({
+    title: `${c.titlePrefix} - ${c.category || 'EU Affairs'} at ${c.entityName}`,
+    description: `${c.entityName} is seeking a ${c.seniority} level professional for an exciting opportunity in ${c.city}, ${c.country}.
+
+${s.overview}:
+${c.description || `${c.entityName} is a leading organization in the EU policy landscape, committed to excellence in ${c.category || 'public affairs'}.`}
+
+${s.mission}:
+As ${c.titlePrefix}, you will play a key role in our ${c.city} operations, contributing to ${c.goals || 'our strategic objectives'} with focus on ${c.focus || 'EU policy engagement'}.
+
+${s.responsibilities}:
+- Lead policy analysis and advocacy initiatives with measurable impact
+- Monitor and report on EU legislative and regulatory developments
+- Build and maintain relationships with key EU stakeholders
+- Coordinate meetings, events, and stakeholder consultations
+- Contribute to organizational strategy and business development
+- Represent the organization in EU forums and working groups
+
+${s.deliverables}:
+- Produce ${{ 'intern': '2 policy briefings monthly', 'junior': '3 policy analyses quarterly', 'mid-level': '5 major policy campaigns annually', 'senior': '10+ strategic initiatives per year' }[c.seniority]}
+- Achieve ${t.satisfaction}%+ stakeholder satisfaction ratings
+- Maintain consistent engagement with ${t.stakeholders}+ key stakeholders
+- Complete deliverables with ${t.accuracy}%+ accuracy rate
+
+${s.requirements}:
+- ${c.seniority === 'intern' ? "Bachelor's degree" : "Master's degree or higher"} in Political Science, European Studies, Law, or related field
+- ${c.experienceYears} years of professional experience in EU policy or related field
+- Fluent English (C1+) and preferably French or German (B2+)
+- Strong analytical, communication, and organizational skills
+- Proficiency in EU databases, CRM systems, and Microsoft Office
+- EU work authorization required
+
+${s.offer}:
+- Competitive salary: €${c.salaryMin}-€${c.salaryMax} per year
+- ${{ 'internship': `${c.contract.durationMonths}-month internship`, 'fixed-term': `${c.contract.durationMonths}-month fixed-term contract`, 'permanent': 'Permanent contract' }[c.contract.type]} starting ${c.startMonth}
+- Flexible working hours with hybrid work model
+- Professional development budget and training opportunities
+- ${c.leaveDays} days annual leave
+${benefitLines(c)}
+
+${s.logistics}:
+- Location: ${c.city}, ${c.country} (hybrid: ${c.officeDays === null ? 'flexible' : `${c.officeDays} days office, ${5 - c.officeDays} days remote`})
+- Working languages: English and French/German
+- Start date: ${c.startMonth}
+- Application deadline: ${c.deadline}
+
+${s.aboutYou}:
+- ${{ 'intern': 'Eager to learn', 'junior': 'Self-motivated', 'mid-level': 'Proven leadership', 'senior': 'Proven leadership' }[c.seniority]} and collaborative approach
+- Curious about how EU policy is made and keen to follow it closely
+- Clear writer who can turn complex files into short, usable briefings
+
+This is an excellent opportunity to ${c.seniority === 'intern' ? 'gain valuable experience' : c.seniority === 'junior' ? 'develop your career' : 'make strategic impact'} in the vibrant EU policy ecosystem, based in ${c.city}.
+
+${c.entityName} is an Equal Opportunity Employer committed to diversity and inclusion.
+
+Please submit your application (CV and cover letter) by the deadline above.`
+  }),
+
+  fr: (c, s, t) => ({
+    title: `${c.titlePrefix} - ${c.category || 'Affaires européennes'} chez ${c.entityName}`,
+    description: `${c.entityName} recherche ${{ 'intern': 'un(e) stagiaire', 'junior': 'un profil junior', 'mid-level': 'un profil confirmé', 'senior': 'un profil senior' }[c.seniority]} pour une opportunité passionnante à ${c.city}, ${c.country}.
+
+${s.overview} :
+${c.description || `${c.entityName} est une organisation de premier plan dans le paysage politique européen, reconnue pour son excellence en ${c.category || 'affaires publiques'}.`}
+
+${s.mission} :
+En tant que ${c.titlePrefix}, vous jouerez un rôle clé dans nos activités à ${c.city} et contribuerez ${c.goals ? `à ${c.goals}` : 'à nos objectifs stratégiques'}, en particulier dans les domaines suivants : ${c.focus || 'affaires européennes'}.
+
+${s.responsibilities} :
+- Piloter des analyses politiques et des initiatives de plaidoyer à l'impact mesurable
+- Suivre l'évolution législative et réglementaire de l'UE et en rendre compte
+- Développer et entretenir des relations avec les principales parties prenantes européennes
+- Coordonner réunions, événements et consultations des parties prenantes
+- Contribuer à la stratégie de l'organisation et à son développement
+- Représenter l'organisation dans les forums et groupes de travail européens
+
+${s.deliverables} :
+- Produire ${{ 'intern': '2 notes politiques par mois', 'junior': '3 analyses politiques par trimestre', 'mid-level': '5 grandes campagnes par an', 'senior': 'plus de 10 initiatives stratégiques par an' }[c.seniority]}
+- Atteindre un taux de satisfaction des parties prenantes d'au moins ${t.satisfaction} %
+- Entretenir un dialogue régulier avec au moins ${t.stakeholders} parties prenantes clés
+- Livrer les travaux avec un taux d'exactitude d'au moins ${t.accuracy} %
+
+${s.requirements} :
+- ${c.seniority === 'intern' ? 'Licence' : 'Master ou diplôme supérieur'} en sciences politiques, études européennes, droit ou domaine connexe
+- ${c.experienceYears} ans d'expérience professionnelle dans les affaires européennes ou un domaine connexe
+- Excellente maîtrise du français (C1+) et de l'anglais (C1+)
+- Solides capacités d'analyse, de communication et d'organisation
+- Maîtrise des bases de données européennes, des outils CRM et de Microsoft Office
+- Autorisation de travail dans l'UE requise
+
+${s.offer} :
+- Salaire compétitif : ${c.salaryMin} € - ${c.salaryMax} € par an
+- ${{ 'internship': `Stage de ${c.contract.durationMonths} mois`, 'fixed-term': `CDD de ${c.contract.durationMonths} mois`, 'permanent': 'CDI' }[c.contract.type]} à partir de ${c.startMonth}
+- Horaires flexibles et modèle de travail hybride
+- Budget de formation et opportunités de développement professionnel
+- ${c.leaveDays} jours de congés annuels
+${benefitLines(c)}
+
+${s.logistics} :
+- Lieu : ${c.city}, ${c.country} (hybride : ${c.officeDays === null ? 'flexible' : `${c.officeDays} jours au bureau, ${5 - c.officeDays} jours en télétravail`})
+- Langues de travail : français et anglais
+- Date de début : ${c.startMonth}
+- Date limite de candidature : ${c.deadline}
+
+${s.aboutYou} :
+- ${{ 'intern': 'Envie d\'apprendre', 'junior': 'Autonomie et motivation', 'mid-level': 'Leadership confirmé', 'senior': 'Leadership confirmé' }[c.seniority]} et esprit d'équipe
+- Curiosité pour le processus décisionnel européen et envie de le suivre de près
+- Rédaction claire, capable de transformer des dossiers complexes en notes courtes et utiles
+
+C'est une excellente occasion ${c.seniority === 'intern' ? "d'acquérir une expérience précieuse" : c.seniority === 'junior' ? 'de développer votre carrière' : "d'avoir un impact stratégique"} au cœur de l'écosystème politique européen, depuis ${c.city}.
+
+${c.entityName} est un employeur attaché à l'égalité des chances, à la diversité et à l'inclusion.
+
+Merci d'envoyer votre candidature (CV et lettre de motivation) avant la date limite indiquée ci-dessus.`
+  }),
+
+  de: (c, s, t) => ({
+    title: `${c.titlePrefix} - ${c.category || 'EU-Angelegenheiten'} bei ${c.entityName}`,
+    description: `${c.entityName} sucht ${{ 'intern': 'eine Praktikantin oder einen Praktikanten', 'junior': 'eine Nachwuchskraft (Junior)', 'mid-level': 'eine erfahrene Fachkraft', 'senior': 'eine erfahrene Führungspersönlichkeit (Senior)' }[c.seniority]} für eine spannende Position in ${c.city}, ${c.country}.
+
+${s.overview}:
+${c.description || `${c.entityName} ist eine führende Organisation in der europäischen Politiklandschaft und steht für Exzellenz im Bereich ${c.category || 'Public Affairs'}.`}
+
+${s.mission}:
+Als ${c.titlePrefix} übernehmen Sie eine Schlüsselrolle an unserem Standort ${c.city} und tragen zu ${c.goals || 'unseren strategischen Zielen'} bei, mit Schwerpunkt auf ${c.focus || 'der EU-Politik'}.
+
+${s.responsibilities}:
+- Leitung von Politikanalysen und Advocacy-Initiativen mit messbarer Wirkung
+- Beobachtung von und Berichterstattung zu Gesetzgebungs- und Regulierungsvorhaben der EU
+- Aufbau und Pflege von Beziehungen zu zentralen EU-Stakeholdern
+- Koordination von Meetings, Veranstaltungen und Stakeholder-Konsultationen
+- Mitwirkung an Organisationsstrategie und Geschäftsentwicklung
+- Vertretung der Organisation in EU-Foren und Arbeitsgruppen
+
+${s.deliverables}:
+- Erstellung von ${{ 'intern': '2 Policy Briefings pro Monat', 'junior': '3 Politikanalysen pro Quartal', 'mid-level': '5 großen Policy-Kampagnen pro Jahr', 'senior': 'mehr als 10 strategischen Initiativen pro Jahr' }[c.seniority]}
+- Stakeholder-Zufriedenheit von mindestens ${t.satisfaction} %
+- Kontinuierlicher Austausch mit mindestens ${t.stakeholders} zentralen Stakeholdern
+- Ergebnisse mit einer Genauigkeit von mindestens ${t.accuracy} %
+
+${s.requirements}:
+- ${c.seniority === 'intern' ? 'Bachelorabschluss' : 'Masterabschluss oder höher'} in Politikwissenschaft, Europastudien, Rechtswissenschaften oder einem verwandten Fach
+- ${c.experienceYears} Jahre Berufserfahrung in der EU-Politik oder einem verwandten Bereich
+- Verhandlungssichere Deutsch- (C1+) und Englischkenntnisse (C1+)
+- Ausgeprägte analytische, kommunikative und organisatorische Fähigkeiten
+- Sicherer Umgang mit EU-Datenbanken, CRM-Systemen und Microsoft Office
+- Arbeitserlaubnis für die EU erforderlich
+
+${s.offer}:
+- Attraktives Gehalt: ${c.salaryMin} € - ${c.salaryMax} € pro Jahr
+- ${{ 'internship': `${c.contract.durationMonths}-monatiges Praktikum`, 'fixed-term': `Befristeter Vertrag über ${c.contract.durationMonths} Monate`, 'permanent': 'Unbefristeter Vertrag' }[c.contract.type]} ab ${c.startMonth}
+- Flexible Arbeitszeiten und hybrides Arbeitsmodell
+- Weiterbildungsbudget und Entwicklungsmöglichkeiten
+- ${c.leaveDays} Tage Jahresurlaub
+${benefitLines(c)}
+
+${s.logistics}:
+- Standort: ${c.city}, ${c.country} (hybrid: ${c.officeDays === null ? 'flexibel' : `${c.officeDays} Tage im Büro, ${5 - c.officeDays} Tage mobil`})
+- Arbeitssprachen: Deutsch und Englisch
+- Startdatum: ${c.startMonth}
+- Bewerbungsfrist: ${c.deadline}
+
+${s.aboutYou}:
+- ${{ 'intern': 'Lernbereitschaft', 'junior': 'Eigeninitiative', 'mid-level': 'Nachgewiesene Führungsstärke', 'senior': 'Nachgewiesene Führungsstärke' }[c.seniority]} und Teamgeist
+- Interesse daran, wie EU-Politik entsteht, und Freude daran, sie genau zu verfolgen
+- Klarer Schreibstil, der komplexe Dossiers in kurze, nützliche Briefings übersetzt
+
+Dies ist eine hervorragende Gelegenheit, ${c.seniority === 'intern' ? 'wertvolle Erfahrungen zu sammeln' : c.seniority === 'junior' ? 'Ihre Karriere voranzubringen' : 'strategisch etwas zu bewegen'} - im lebendigen Umfeld der EU-Politik, mit Sitz in ${c.city}.
+
+${c.entityName} ist ein Arbeitgeber, der sich für Chancengleichheit, Vielfalt und Inklusion einsetzt.
+
+Bitte senden Sie Ihre Bewerbung (Lebenslauf und Anschreiben) bis zur oben genannten Frist.`
+  }),
+
+  nl: (c, s, t) => ({
+    title: `${c.titlePrefix} - ${c.category || 'EU-zaken'} bij ${c.entityName}`,
+    description: `${c.entityName} zoekt ${{ 'intern': 'een stagiair', 'junior': 'een junior medewerker', 'mid-level': 'een ervaren medewerker', 'senior': 'een senior professional' }[c.seniority]} voor een boeiende functie in ${c.city}, ${c.country}.
+
+${s.overview}:
+${c.description || `${c.entityName} is een toonaangevende organisatie in het Europese beleidslandschap, met een sterke expertise in ${c.category || 'public affairs'}.`}
+
+${s.mission}:
+Als ${c.titlePrefix} speel je een sleutelrol in onze werking in ${c.city} en draag je bij aan ${c.goals || 'onze strategische doelstellingen'}, met focus op ${c.focus || 'Europees beleid'}.
+
+${s.responsibilities}:
+- Beleidsanalyses en belangenbehartigingsinitiatieven met meetbare impact leiden
+- Europese wet- en regelgeving opvolgen en erover rapporteren
+- Relaties met belangrijke Europese stakeholders opbouwen en onderhouden
+- Vergaderingen, evenementen en stakeholderconsultaties coördineren
+- Bijdragen aan de strategie en de verdere ontwikkeling van de organisatie
+- De organisatie vertegenwoordigen in Europese fora en werkgroepen
+
+${s.deliverables}:
+- Oplevering van ${{ 'intern': "2 beleidsnota's per maand", 'junior': '3 beleidsanalyses per kwartaal', 'mid-level': '5 grote beleidscampagnes per jaar', 'senior': 'meer dan 10 strategische initiatieven per jaar' }[c.seniority]}
+- Een stakeholdertevredenheid van minstens ${t.satisfaction}%
+- Regelmatig contact met minstens ${t.stakeholders} belangrijke stakeholders
+- Resultaten met een nauwkeurigheid van minstens ${t.accuracy}%
+
+${s.requirements}:
+- ${c.seniority === 'intern' ? 'Bachelordiploma' : 'Masterdiploma of hoger'} in politieke wetenschappen, Europese studies, rechten of een verwant domein
+- ${c.experienceYears} jaar werkervaring in Europees beleid of een verwant domein
+- Uitstekende kennis van het Nederlands (C1+) en het Engels (C1+)
+- Sterke analytische, communicatieve en organisatorische vaardigheden
+- Vlot gebruik van EU-databanken, CRM-systemen en Microsoft Office
+- Werkvergunning voor de EU vereist
+
+${s.offer}:
+- Competitief salaris: € ${c.salaryMin} - € ${c.salaryMax} per jaar
+- ${{ 'internship': `Stage van ${c.contract.durationMonths} maanden`, 'fixed-term': `Contract van bepaalde duur (${c.contract.durationMonths} maanden)`, 'permanent': 'Vast contract' }[c.contract.type]} vanaf ${c.startMonth}
+- Flexibele werkuren en een hybride werkmodel
+- Opleidingsbudget en ontwikkelingsmogelijkheden
+- ${c.leaveDays} vakantiedagen per jaar
+${benefitLines(c)}
+
+${s.logistics}:
+- Locatie: ${c.city}, ${c.country} (hybride: ${c.officeDays === null ? 'flexibel' : `${c.officeDays} dagen op kantoor, ${5 - c.officeDays} dagen thuis`})
+- Werktalen: Nederlands en Engels
+- Startdatum: ${c.startMonth}
+- Uiterste sollicitatiedatum: ${c.deadline}
+
+${s.aboutYou}:
+- ${{ 'intern': 'Leergierig', 'junior': 'Zelfstandig en gemotiveerd', 'mid-level': 'Aantoonbaar leiderschap', 'senior': 'Aantoonbaar leiderschap' }[c.seniority]} en een teamspeler
+- Nieuwsgierig naar hoe EU-beleid tot stand komt en graag dicht op de bal
+- Helder schrijver die complexe dossiers omzet in korte, bruikbare briefings
+
+Dit is een uitstekende kans om ${c.seniority === 'intern' ? 'waardevolle ervaring op te doen' : c.seniority === 'junior' ? 'je carrière verder uit te bouwen' : 'strategisch impact te maken'} in het dynamische Europese beleidslandschap, vanuit ${c.city}.
+
+${c.entityName} is een werkgever die gelijke kansen, diversiteit en inclusie hoog in het vaandel draagt.
+
+Stuur je sollicitatie (cv en motivatiebrief) vóór de bovenstaande deadline.`
+  }),
+
+  es: (c, s, t) => ({
+    title: `${c.titlePrefix} - ${c.category || 'Asuntos Europeos'} en ${c.entityName}`,
+    description: `${c.entityName} busca ${{ 'intern': 'un perfil en prácticas', 'junior': 'un perfil junior', 'mid-level': 'un perfil con experiencia', 'senior': 'un perfil sénior' }[c.seniority]} para una oportunidad apasionante en ${c.city}, ${c.country}.
+
+${s.overview}:
+${c.description || `${c.entityName} es una organización de referencia en el panorama político de la UE, comprometida con la excelencia en ${c.category || 'asuntos públicos'}.`}
+
+${s.mission}:
+Como ${c.titlePrefix}, desempeñarás un papel clave en nuestras operaciones en ${c.city}, contribuyendo a ${c.goals || 'nuestros objetivos estratégicos'} con especial atención a ${c.focus || 'las políticas de la UE'}.
+
+${s.responsibilities}:
+- Liderar análisis de políticas e iniciativas de incidencia con impacto medible
+- Seguir e informar sobre la evolución legislativa y regulatoria de la UE
+- Construir y mantener relaciones con los principales actores de la UE
+- Coordinar reuniones, eventos y consultas con las partes interesadas
+- Contribuir a la estrategia y al desarrollo de la organización
+- Representar a la organización en foros y grupos de trabajo de la UE
+
+${s.deliverables}:
+- Elaborar ${{ 'intern': '2 notas informativas al mes', 'junior': '3 análisis de políticas al trimestre', 'mid-level': '5 grandes campañas al año', 'senior': 'más de 10 iniciativas estratégicas al año' }[c.seniority]}
+- Alcanzar una satisfacción de las partes interesadas de al menos el ${t.satisfaction} %
+- Mantener un contacto regular con al menos ${t.stakeholders} actores clave
+- Entregar los trabajos con una precisión de al menos el ${t.accuracy} %
+
+${s.requirements}:
+- ${c.seniority === 'intern' ? 'Grado universitario' : 'Máster o titulación superior'} en Ciencias Políticas, Estudios Europeos, Derecho o un campo afín
+- ${c.experienceYears} años de experiencia profesional en políticas de la UE o un campo afín
+- Dominio del español (C1+) y del inglés (C1+)
+- Excelentes capacidades analíticas, de comunicación y de organización
+- Manejo de bases de datos de la UE, sistemas CRM y Microsoft Office
+- Autorización para trabajar en la UE
+
+${s.offer}:
+- Salario competitivo: ${c.salaryMin} € - ${c.salaryMax} € al año
+- ${{ 'internship': `Prácticas de ${c.contract.durationMonths} meses`, 'fixed-term': `Contrato temporal de ${c.contract.durationMonths} meses`, 'permanent': 'Contrato indefinido' }[c.contract.type]} a partir de ${c.startMonth}
+- Horario flexible y modelo de trabajo híbrido
+- Presupuesto de formación y oportunidades de desarrollo profesional
+- ${c.leaveDays} días de vacaciones al año
+${benefitLines(c)}
+
+${s.logistics}:
+- Ubicación: ${c.city}, ${c.country} (híbrido: ${c.officeDays === null ? 'flexible' : `${c.officeDays} días en la oficina, ${5 - c.officeDays} días en remoto`})
+- Idiomas de trabajo: español e inglés
+- Fecha de incorporación: ${c.startMonth}
+- Plazo de candidatura: ${c.deadline}
+
+${s.aboutYou}:
+- ${{ 'intern': 'Ganas de aprender', 'junior': 'Iniciativa y motivación', 'mid-level': 'Liderazgo demostrado', 'senior': 'Liderazgo demostrado' }[c.seniority]} y espíritu de equipo
+- Interés por cómo se elaboran las políticas de la UE y ganas de seguirlas de cerca
+- Redacción clara, capaz de convertir expedientes complejos en notas breves y útiles
+
+Es una excelente oportunidad para ${c.seniority === 'intern' ? 'adquirir una experiencia valiosa' : c.seniority === 'junior' ? 'desarrollar tu carrera' : 'generar un impacto estratégico'} en el dinámico ecosistema de políticas de la UE, desde ${c.city}.
+
+${c.entityName} es un empleador comprometido con la igualdad de oportunidades, la diversidad y la inclusión.
+
+Envía tu candidatura (CV y carta de presentación) antes de la fecha límite indicada.`
+  }),
+
+  it: (c, s, t) => ({
+    title: `${c.titlePrefix} - ${c.category || 'Affari Europei'} presso ${c.entityName}`,
+    description: `${c.entityName} cerca ${{ 'intern': 'un profilo per un tirocinio', 'junior': 'un profilo junior', 'mid-level': 'un profilo esperto', 'senior': 'un profilo senior' }[c.seniority]} per un'opportunità stimolante a ${c.city}, ${c.country}.
+
+${s.overview}:
+${c.description || `${c.entityName} è un'organizzazione di primo piano nel panorama politico dell'UE, impegnata per l'eccellenza nel settore ${c.category || 'degli affari pubblici'}.`}
+
+${s.mission}:
+Come ${c.titlePrefix}, avrai un ruolo chiave nelle nostre attività a ${c.city}, contribuendo ${c.goals ? `a ${c.goals}` : 'ai nostri obiettivi strategici'} con particolare attenzione a ${c.focus || 'politiche UE'}.
+
+${s.responsibilities}:
+- Guidare analisi politiche e iniziative di advocacy con impatto misurabile
+- Monitorare e riferire sugli sviluppi legislativi e normativi dell'UE
+- Costruire e mantenere relazioni con i principali stakeholder europei
+- Coordinare riunioni, eventi e consultazioni con gli stakeholder
+- Contribuire alla strategia e allo sviluppo dell'organizzazione
+- Rappresentare l'organizzazione nei forum e nei gruppi di lavoro dell'UE
+
+${s.deliverables}:
+- Produrre ${{ 'intern': '2 briefing politici al mese', 'junior': '3 analisi politiche a trimestre', 'mid-level': "5 grandi campagne all'anno", 'senior': "oltre 10 iniziative strategiche all'anno" }[c.seniority]}
+- Raggiungere un tasso di soddisfazione degli stakeholder di almeno il ${t.satisfaction}%
+- Mantenere un dialogo costante con almeno ${t.stakeholders} stakeholder chiave
+- Consegnare i lavori con un tasso di accuratezza di almeno il ${t.accuracy}%
+
+${s.requirements}:
+- ${c.seniority === 'intern' ? 'Laurea triennale' : 'Laurea magistrale o titolo superiore'} in Scienze Politiche, Studi Europei, Giurisprudenza o ambito affine
+- ${c.experienceYears} anni di esperienza professionale in politiche UE o ambito affine
+- Ottima conoscenza dell'italiano (C1+) e dell'inglese (C1+)
+- Spiccate capacità analitiche, comunicative e organizzative
+- Padronanza di banche dati UE, sistemi CRM e Microsoft Office
+- Autorizzazione al lavoro nell'UE
+
+${s.offer}:
+- Retribuzione competitiva: ${c.salaryMin} € - ${c.salaryMax} € all'anno
+- ${{ 'internship': `Tirocinio di ${c.contract.durationMonths} mesi`, 'fixed-term': `Contratto a tempo determinato di ${c.contract.durationMonths} mesi`, 'permanent': 'Contratto a tempo indeterminato' }[c.contract.type]} a partire da ${c.startMonth}
+- Orario flessibile e modello di lavoro ibrido
+- Budget per la formazione e opportunità di sviluppo professionale
+- ${c.leaveDays} giorni di ferie all'anno
+${benefitLines(c)}
+
+${s.logistics}:
+- Sede: ${c.city}, ${c.country} (ibrido: ${c.officeDays === null ? 'flessibile' : `${c.officeDays} giorni in ufficio, ${5 - c.officeDays} giorni da remoto`})
+- Lingue di lavoro: italiano e inglese
+- Data di inizio: ${c.startMonth}
+- Scadenza candidature: ${c.deadline}
+
+${s.aboutYou}:
+- ${{ 'intern': 'Voglia di imparare', 'junior': 'Iniziativa e motivazione', 'mid-level': 'Leadership comprovata', 'senior': 'Leadership comprovata' }[c.seniority]} e spirito di squadra
+- Curiosità per il modo in cui nascono le politiche UE e voglia di seguirle da vicino
+- Scrittura chiara, capace di trasformare dossier complessi in note brevi e utili
+
+Si tratta di un'ottima opportunità per ${c.seniority === 'intern' ? "acquisire un'esperienza preziosa" : c.seniority === 'junior' ? 'far crescere la tua carriera' : 'generare un impatto strategico'} nel vivace ecosistema delle politiche UE, con sede a ${c.city}.
+
+${c.entityName} è un datore di lavoro impegnato per le pari opportunità, la diversità e l'inclusione.
+
+Invia la tua candidatura (CV e lettera di motivazione) entro la scadenza indicata.`
+  })
+};
+
+// context: { entityName, seniority, titlePrefix, experienceYears, category, description, goals,
+// focus, city, country, salaryMin, salaryMax, deadline, contract, startMonth, officeDays,
+// leaveDays, benefits }, already formatted and localized for the language
+export function renderJobTemplate(language, sections, context) {
+  return TEMPLATES[language](context, sections, SENIORITY_TARGETS[context.seniority]);
+}
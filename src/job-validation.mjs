@@ -0,0 +1,89 @@
+// Checks LLM output against the structure the prompt asks for, so malformed or
+// incomplete postings can be sent back for repair instead of published. Content checks
+// (sections, placeholders, salary, ...) are configurable rules in content-lint.mjs.
+
+export const REQUIRED_SECTIONS = [
+  'ORGANIZATION OVERVIEW',
+  'YOUR MISSION',
+  'KEY RESPONSIBILITIES',
+  'DELIVERABLES & KPIs',
+  'REQUIREMENTS',
+  'WHAT WE OFFER',
+  'LOGISTICS & APPLICATION',
+  'ABOUT YOU'
+];
+
+export const DEFAULT_VALIDATION = {
+  minWords: 500,
+  maxWords: 4500,
+  requiredSections: REQUIRED_SECTIONS
+};
+
+export function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+function parseResponse(response) {
+  const cleanResponse = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return { data: JSON.parse(cleanResponse) };
+  } catch (error) {
+    // Models sometimes wrap the JSON in prose; fall back to the outermost object
+    const start = cleanResponse.indexOf('{');
+    const end = cleanResponse.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return { data: JSON.parse(cleanResponse.slice(start, end + 1)) };
+      } catch {
+        // report the original parse error below
+      }
+    }
+    return { error: `invalid JSON (${error.message})` };
+  }
+}
+
+// Returns { valid, job, errors }. `job` is only set when the output passed every check.
+export function validateJobOutput(response, options = {}) {
+  const { minWords, maxWords } = { ...DEFAULT_VALIDATION, ...options };
+
+  if (!response || !response.trim()) {
+    return { valid: false, job: null, errors: ['empty response'] };
+  }
+
+  const parsed = parseResponse(response);
+  if (parsed.error) return { valid: false, job: null, errors: [parsed.error] };
+
+  const data = parsed.data;
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, job: null, errors: ['response is not a JSON object'] };
+  }
+
+  const title = typeof data.title === 'string' ? data.title.trim() : '';
+  const description = typeof data.description === 'string' ? data.description.trim() : '';
+
+  if (!title) errors.push('"title" is missing or empty');
+  if (!description) {
+    errors.push('"description" is missing or empty');
+  } else {
+    const words = countWords(description);
+    if (words < minWords) errors.push(`description has ${words} words, minimum is ${minWords}`);
+    if (words > maxWords) errors.push(`description has ${words} words, maximum is ${maxWords}`);
+  }
+
+  if (errors.length > 0) return { valid: false, job: null, errors };
+  // Skills are mapped onto the vocabulary later (job-metadata.mjs); a missing list is not worth a repair
+  const skills = Array.isArray(data.skills) ? data.skills.filter((skill) => typeof skill === 'string') : null;
+  return { valid: true, job: { title, description, skills }, errors: [] };
+}
+
+export function buildRepairPrompt(errors, options = {}) {
+  const { minWords, maxWords, requiredSections } = { ...DEFAULT_VALIDATION, ...options };
+  return `Your previous response was rejected for these reasons:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Return the corrected job posting as a single valid JSON object with the string fields "title" and "description" and the "skills" array.
+The description must be ${minWords}-${maxWords} words and contain these section headings: ${requiredSections.join(', ')}.
+Output ONLY the JSON object, no code fences or commentary.`;
+}
@@ -0,0 +1,132 @@
+// Posting languages. Each language defines the section headings the LLM is asked to use
+// (and validation checks for) and the locale used for dates and amounts.
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    locale: 'en-GB',
+    sections: {
+      overview: 'ORGANIZATION OVERVIEW',
+      mission: 'YOUR MISSION',
+      responsibilities: 'KEY RESPONSIBILITIES',
+      deliverables: 'DELIVERABLES & KPIs',
+      requirements: 'REQUIREMENTS',
+      offer: 'WHAT WE OFFER',
+      logistics: 'LOGISTICS & APPLICATION',
+      aboutYou: 'ABOUT YOU'
+    }
+  },
+  fr: {
+    name: 'French',
+    locale: 'fr-FR',
+    sections: {
+      overview: 'NOTRE ORGANISATION',
+      mission: 'VOTRE MISSION',
+      responsibilities: 'RESPONSABILITÉS PRINCIPALES',
+      deliverables: 'LIVRABLES & KPI',
+      requirements: 'PRÉREQUIS',
+      offer: 'CE QUE NOUS OFFRONS',
+      logistics: 'MODALITÉS & CANDIDATURE',
+      aboutYou: 'VOTRE PROFIL'
+    }
+  },
+  de: {
+    name: 'German',
+    locale: 'de-DE',
+    sections: {
+      overview: 'ÜBER UNS',
+      mission: 'IHRE MISSION',
+      responsibilities: 'IHRE AUFGABEN',
+      deliverables: 'ERGEBNISSE & KPIs',
+      requirements: 'ANFORDERUNGEN',
+      offer: 'WAS WIR BIETEN',
+      logistics: 'RAHMENBEDINGUNGEN & BEWERBUNG',
+      aboutYou: 'DAS ZEICHNET SIE AUS'
+    }
+  },
+  nl: {
+    name: 'Dutch',
+    locale: 'nl-NL',
+    sections: {
+      overview: 'OVER DE ORGANISATIE',
+      mission: 'JOUW MISSIE',
+      responsibilities: 'BELANGRIJKSTE VERANTWOORDELIJKHEDEN',
+      deliverables: 'RESULTATEN & DOELSTELLINGEN',
+      requirements: 'FUNCTIEVEREISTEN',
+      offer: 'WAT WIJ BIEDEN',
+      logistics: 'PRAKTISCHE INFORMATIE & SOLLICITATIE',
+      aboutYou: 'WIE BEN JIJ'
+    }
+  },
+  es: {
+    name: 'Spanish',
+    locale: 'es-ES',
+    sections: {
+      overview: 'SOBRE LA ORGANIZACIÓN',
+      mission: 'TU MISIÓN',
+      responsibilities: 'RESPONSABILIDADES PRINCIPALES',
+      deliverables: 'ENTREGABLES Y KPI',
+      requirements: 'REQUISITOS',
+      offer: 'QUÉ OFRECEMOS',
+      logistics: 'LOGÍSTICA Y CANDIDATURA',
+      aboutYou: 'SOBRE TI'
+    }
+  },
+  it: {
+    name: 'Italian',
+    locale: 'it-IT',
+    sections: {
+      overview: 'CHI SIAMO',
+      mission: 'LA TUA MISSIONE',
+      responsibilities: 'RESPONSABILITÀ PRINCIPALI',
+      deliverables: 'RISULTATI E KPI',
+      requirements: 'REQUISITI',
+      offer: 'COSA OFFRIAMO',
+      logistics: 'LOGISTICA E CANDIDATURA',
+      aboutYou: 'IL TUO PROFILO'
+    }
+  }
+};
+
+// Language of the head office's country, used when the run language is 'auto'.
+// Countries without a supported language get English.
+const COUNTRY_LANGUAGES = {
+  FR: 'fr', BE: 'fr', LU: 'fr',
+  DE: 'de', AT: 'de', CH: 'de', LI: 'de',
+  NL: 'nl',
+  ES: 'es',
+  IT: 'it'
+};
+
+// Cities whose language differs from the country default (by cityId)
+const CITY_LANGUAGES = {
+  'antwerp': 'nl', 'antwerpen': 'nl', 'ghent': 'nl', 'gent': 'nl', 'bruges': 'nl', 'brugge': 'nl',
+  'leuven': 'nl', 'mechelen': 'nl', 'hasselt': 'nl', 'kortrijk': 'nl', 'eupen': 'de',
+  'geneva': 'fr', 'lausanne': 'fr', 'neuchatel': 'fr', 'fribourg': 'fr', 'lugano': 'it'
+};
+
+// Accepts a language code or 'auto'; returns null for anything unsupported
+export function parseLanguageSetting(value) {
+  const setting = String(value ?? '').trim().toLowerCase();
+  return setting === 'auto' || LANGUAGES[setting] ? setting : null;
+}
+
+export function resolveLanguage(setting, location) {
+  if (setting !== 'auto') return setting;
+  return CITY_LANGUAGES[location?.cityId] || COUNTRY_LANGUAGES[location?.countryId] || DEFAULT_LANGUAGE;
+}
+
+export function getSectionHeadings(language) {
+  return Object.values(LANGUAGES[language].sections);
+}
+
+// Country name in the posting language ("Deutschland" in a German posting)
+export function getLocalizedCountryName(countryId, language, fallback) {
+  try {
+    return new Intl.DisplayNames([LANGUAGES[language].locale], { type: 'region' }).of(countryId) || fallback;
+  } catch {
+    return fallback;
+  }
+}
@@ -0,0 +1,170 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import { createHash } from 'crypto';
+
+export const PROVIDERS = ['openai', 'azure', 'compatible', 'mock'];
+
+// Per-provider generation defaults. LLM_MODEL / LLM_TEMPERATURE / LLM_MAX_TOKENS override them.
+const PROVIDER_DEFAULTS = {
+  'openai': { model: 'gpt-4o-mini', temperature: 0.7, maxTokens: 4000 },
+  'azure': { model: null, temperature: 0.7, maxTokens: 4000 },
+  'compatible': { model: null, temperature: 0.7, maxTokens: 4000 },
+  'mock': { model: 'mock-deterministic', temperature: 0, maxTokens: 4000 }
+};
+
+function parseNumber(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+// Picks the provider from LLM_PROVIDER, or infers it from the env vars that are set
+// (Azure first, then an OpenAI-compatible base URL, then plain OpenAI).
+export function resolveProviderConfig(env = process.env) {
+  const azureDeployment = env.AZURE_OPENAI_DEPLOYMENT || env.AZURE_OPENAI_DEPLOYMENT_NAME;
+  const hasAzure = !!(env.AZURE_OPENAI_ENDPOINT && env.AZURE_OPENAI_API_KEY && azureDeployment);
+
+  let name = (env.LLM_PROVIDER || '').toLowerCase();
+  if (!name) {
+    if (hasAzure) name = 'azure';
+    else if (env.LLM_BASE_URL) name = 'compatible';
+    else if (env.OPENAI_API_KEY) name = 'openai';
+  }
+
+  if (!name) {
+    return { error: 'No AI provider configured. Set OPENAI_API_KEY, Azure OpenAI vars (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT), LLM_BASE_URL, or LLM_PROVIDER=mock.' };
+  }
+  if (!PROVIDERS.includes(name)) {
+    return { error: `Unknown LLM_PROVIDER "${name}". Expected one of: ${PROVIDERS.join(', ')}` };
+  }
+
+  const defaults = PROVIDER_DEFAULTS[name];
+  const config = {
+    name,
+    model: env.LLM_MODEL || defaults.model,
+    temperature: parseNumber(env.LLM_TEMPERATURE, defaults.temperature),
+    maxTokens: parseNumber(env.LLM_MAX_TOKENS, defaults.maxTokens)
+  };
+
+  if (name === 'openai') {
+    if (!env.OPENAI_API_KEY) return { error: 'LLM_PROVIDER=openai requires OPENAI_API_KEY' };
+    config.apiKey = env.OPENAI_API_KEY;
+  } else if (name === 'azure') {
+    if (!hasAzure) return { error: 'LLM_PROVIDER=azure requires AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY and AZURE_OPENAI_DEPLOYMENT' };
+    config.apiKey = env.AZURE_OPENAI_API_KEY;
+    config.endpoint = env.AZURE_OPENAI_ENDPOINT;
+    config.deployment = azureDeployment;
+    config.apiVersion = env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview';
+    // For Azure the deployment name is what gets sent as the model
+    config.model = env.LLM_MODEL || azureDeployment;
+  } else if (name === 'compatible') {
+    if (!env.LLM_BASE_URL) return { error: 'LLM_PROVIDER=compatible requires LLM_BASE_URL (e.g. http://localhost:11434/v1)' };
+    if (!config.model) return { error: 'LLM_PROVIDER=compatible requires LLM_MODEL' };
+    config.baseURL = env.LLM_BASE_URL;
+    // Most self-hosted servers ignore the key, but the SDK insists on one
+    config.apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY || 'not-needed';
+  }
+
+  return { config };
+}
+
+function createOpenAIProvider(config, client) {
+  return {
+    name: config.name,
+    model: config.model,
+    maxTokens: config.maxTokens,
+    async complete({ system, user, history = [] }) {
+      const completion = await client.chat.completions.create({
+        model: config.model,
+        messages: [
+          { role: 'system', content: system },
+          ...history,
+          { role: 'user', content: user }
+        ],
+        temperature: config.temperature,
+        max_tokens: config.maxTokens,
+      });
+      return {
+        content: completion.choices[0]?.message?.content || null,
+        usage: completion.usage || null,
+        // 'length' means the answer was cut off at max_tokens
+        finishReason: completion.choices[0]?.finish_reason || null
+      };
+    }
+  };
+}
+
+// Offline provider for CI and local runs: the same prompt always yields the same posting,
+// built from the `mock` context the caller passes alongside the messages.
+function createMockProvider(config) {
+  const SECTIONS = ['ORGANIZATION OVERVIEW', 'YOUR MISSION', 'KEY RESPONSIBILITIES', 'DELIVERABLES & KPIs',
+    'REQUIREMENTS', 'WHAT WE OFFER', 'LOGISTICS & APPLICATION', 'ABOUT YOU'];
+  const SKILLS = ['policy-analysis', 'advocacy', 'stakeholder-engagement', 'legislative-monitoring', 'policy-writing',
+    'Stakeholder management', 'communications', 'project-management', 'coalition-building', 'research'];
+  const FOCUS_AREAS = ['policy analysis', 'stakeholder engagement', 'regulatory monitoring', 'advocacy campaigns'];
+  const SENTENCES = [
+    (c) => `${c.entityName} is looking for a ${c.seniority} ${c.titlePrefix} to strengthen its work on ${c.focus}.`,
+    (c) => `The role sits within a small team that reports directly to senior leadership and works across several policy files.`,
+    (c) => `You will track legislative developments, prepare written briefings and help shape positions ahead of key institutional milestones.`,
+    (c) => `Success in this position is measured through clear deliverables agreed at the start of each quarter and reviewed with your manager.`,
+    (c) => `The team values precise writing, reliable follow-up with partners and a practical approach to complex regulatory questions.`,
+    (c) => `Close cooperation with members, partner organisations and institutional contacts is part of the daily routine in this role.`
+  ];
+
+  return {
+    name: config.name,
+    model: config.model,
+    maxTokens: config.maxTokens,
+    async complete({ system, user, mock = {} }) {
+      const digest = createHash('sha256').update(`${system}\n${user}`).digest();
+      const context = {
+        entityName: mock.entityName || 'The organization',
+        seniority: mock.seniority || 'junior',
+        titlePrefix: mock.titlePrefix || 'Officer',
+        focus: FOCUS_AREAS[digest[0] % FOCUS_AREAS.length]
+      };
+
+      // Callers pass the localized headings for non-English postings
+      const body = (mock.sections || SECTIONS).map((section, index) => {
+        // Rotate the sentence order per section so sections do not read identically
+        const offset = (digest[index + 1] + index) % SENTENCES.length;
+        const paragraph = SENTENCES.map((_, i) => SENTENCES[(i + offset) % SENTENCES.length](context)).join(' ');
+        return `${section}:\n${paragraph}`;
+      }).join('\n\n');
+
+      const content = JSON.stringify({
+        title: `${context.titlePrefix} - EU Policy at ${context.entityName}`,
+        description: body,
+        skills: [0, 1, 2, 3].map((i) => SKILLS[(digest[2] + i) % SKILLS.length])
+      });
+      const promptTokens = Math.ceil((system.length + user.length) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+      return {
+        content,
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+        finishReason: 'stop'
+      };
+    }
+  };
+}
+
+// SDK retries are disabled: the generator retries itself so it can honor Retry-After
+// and slow the shared rate limiter down.
+export function createProvider(config) {
+  switch (config.name) {
+    case 'openai':
+      return createOpenAIProvider(config, new OpenAI({ apiKey: config.apiKey, maxRetries: 0 }));
+    case 'azure':
+      return createOpenAIProvider(config, new AzureOpenAI({
+        apiKey: config.apiKey,
+        endpoint: config.endpoint,
+        apiVersion: config.apiVersion,
+        maxRetries: 0,
+      }));
+    case 'compatible':
+      return createOpenAIProvider(config, new OpenAI({ apiKey: config.apiKey, baseURL: config.baseURL, maxRetries: 0 }));
+    case 'mock':
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider: ${config.name}`);
+  }
+}
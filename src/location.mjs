@@ -0,0 +1,185 @@
+// Resolves a job location from the entity's head-office address. Transparency register
+// records come from several import formats, so the address is looked up in each known
+// shape; Brussels is only used when no usable country can be found.
+
+export const FALLBACK_LOCATION = {
+  city: 'Brussels',
+  country: 'Belgium',
+  countryId: 'BE',
+  cityId: 'brussels',
+  postalCode: 1000,
+  street: '',
+  source: 'fallback'
+};
+
+// ISO 3166-1 alpha-2 code -> English name, capital (used when only the country is known) and aliases
+const COUNTRIES = {
+  AT: { name: 'Austria', capital: 'Vienna', aliases: ['osterreich'] },
+  BE: { name: 'Belgium', capital: 'Brussels', aliases: ['belgique', 'belgie', 'belgien'] },
+  BG: { name: 'Bulgaria', capital: 'Sofia', aliases: [] },
+  HR: { name: 'Croatia', capital: 'Zagreb', aliases: ['hrvatska'] },
+  CY: { name: 'Cyprus', capital: 'Nicosia', aliases: [] },
+  CZ: { name: 'Czechia', capital: 'Prague', aliases: ['czech republic'] },
+  DK: { name: 'Denmark', capital: 'Copenhagen', aliases: ['danmark'] },
+  EE: { name: 'Estonia', capital: 'Tallinn', aliases: [] },
+  FI: { name: 'Finland', capital: 'Helsinki', aliases: ['suomi'] },
+  FR: { name: 'France', capital: 'Paris', aliases: [] },
+  DE: { name: 'Germany', capital: 'Berlin', aliases: ['deutschland', 'allemagne'] },
+  GR: { name: 'Greece', capital: 'Athens', aliases: ['hellas', 'ellada'] },
+  HU: { name: 'Hungary', capital: 'Budapest', aliases: ['magyarorszag'] },
+  IE: { name: 'Ireland', capital: 'Dublin', aliases: ['eire'] },
+  IT: { name: 'Italy', capital: 'Rome', aliases: ['italia', 'italie'] },
+  LV: { name: 'Latvia', capital: 'Riga', aliases: [] },
+  LT: { name: 'Lithuania', capital: 'Vilnius', aliases: [] },
+  LU: { name: 'Luxembourg', capital: 'Luxembourg', aliases: ['luxemburg'] },
+  MT: { name: 'Malta', capital: 'Valletta', aliases: [] },
+  NL: { name: 'Netherlands', capital: 'Amsterdam', aliases: ['the netherlands', 'nederland', 'holland', 'pays-bas'] },
+  PL: { name: 'Poland', capital: 'Warsaw', aliases: ['polska'] },
+  PT: { name: 'Portugal', capital: 'Lisbon', aliases: [] },
+  RO: { name: 'Romania', capital: 'Bucharest', aliases: [] },
+  SK: { name: 'Slovakia', capital: 'Bratislava', aliases: ['slovak republic'] },
+  SI: { name: 'Slovenia', capital: 'Ljubljana', aliases: [] },
+  ES: { name: 'Spain', capital: 'Madrid', aliases: ['espana', 'espagne'] },
+  SE: { name: 'Sweden', capital: 'Stockholm', aliases: ['sverige'] },
+  IS: { name: 'Iceland', capital: 'Reykjavik', aliases: [] },
+  LI: { name: 'Liechtenstein', capital: 'Vaduz', aliases: [] },
+  NO: { name: 'Norway', capital: 'Oslo', aliases: ['norge'] },
+  CH: { name: 'Switzerland', capital: 'Bern', aliases: ['schweiz', 'suisse', 'svizzera'] },
+  GB: { name: 'United Kingdom', capital: 'London', aliases: ['uk', 'great britain', 'england', 'scotland', 'wales'] },
+  US: { name: 'United States', capital: 'Washington', aliases: ['usa', 'united states of america'] },
+  CA: { name: 'Canada', capital: 'Ottawa', aliases: [] },
+  JP: { name: 'Japan', capital: 'Tokyo', aliases: [] },
+  CN: { name: 'China', capital: 'Beijing', aliases: [] },
+  IN: { name: 'India', capital: 'New Delhi', aliases: [] },
+  AU: { name: 'Australia', capital: 'Canberra', aliases: [] },
+  TR: { name: 'Turkey', capital: 'Ankara', aliases: ['turkiye'] },
+  UA: { name: 'Ukraine', capital: 'Kyiv', aliases: [] },
+  RS: { name: 'Serbia', capital: 'Belgrade', aliases: [] }
+};
+
+// Local-language spellings mapped to the English city name used on the site
+const CITY_ALIASES = {
+  'bruxelles': 'Brussels',
+  'brussel': 'Brussels',
+  'brussels': 'Brussels',
+  'munchen': 'Munich',
+  'koln': 'Cologne',
+  'wien': 'Vienna',
+  'praha': 'Prague',
+  'warszawa': 'Warsaw',
+  'lisboa': 'Lisbon',
+  'roma': 'Rome',
+  'milano': 'Milan',
+  'den haag': 'The Hague',
+  "'s-gravenhage": 'The Hague',
+  'geneve': 'Geneva',
+  'genf': 'Geneva',
+  'kobenhavn': 'Copenhagen',
+  'athina': 'Athens',
+  'bucuresti': 'Bucharest'
+};
+
+function normalizeKey(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+const COUNTRY_LOOKUP = new Map();
+for (const [code, country] of Object.entries(COUNTRIES)) {
+  for (const key of [code, country.name, ...country.aliases]) {
+    COUNTRY_LOOKUP.set(normalizeKey(key), code);
+  }
+}
+// Codes that differ from ISO 3166 in EU datasets
+COUNTRY_LOOKUP.set('uk', 'GB');
+COUNTRY_LOOKUP.set('el', 'GR');
+
+// Returns the ISO alpha-2 code for a country code, English name or alias, or null
+export function normalizeCountry(value) {
+  if (!value) return null;
+  return COUNTRY_LOOKUP.get(normalizeKey(value)) || null;
+}
+
+// Every spelling normalizeCountry() accepts for a code, for matching stored addresses in queries
+export function countrySpellings(code) {
+  return [...COUNTRY_LOOKUP].filter(([, value]) => value === code).map(([key]) => key);
+}
+
+// Where extractAddress() looks for the country, as query paths
+export const COUNTRY_FIELDS = [
+  'headOffice.country', 'headOffice.countryCode', 'headOfficeCountry', 'contactDetails.country',
+  'contactDetails.countryCode', 'address.country', 'address.countryCode', 'country'
+];
+
+export function getCountryName(code) {
+  return COUNTRIES[code]?.name || null;
+}
+
+export function normalizeCity(value) {
+  if (!value) return '';
+  const trimmed = String(value).trim().replace(/\s+/g, ' ');
+  const alias = CITY_ALIASES[normalizeKey(trimmed)];
+  if (alias) return alias;
+  // Registers often store cities in capitals ("PARIS"); title-case them for display
+  return trimmed === trimmed.toUpperCase()
+    ? trimmed.toLowerCase().replace(/(^|[\s-])\S/g, (match) => match.toUpperCase())
+    : trimmed;
+}
+
+export function toCityId(city) {
+  return normalizeKey(city).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// The Job schema stores postalCode as a Number, so only purely numeric codes are kept
+function toPostalCode(value) {
+  if (value === undefined || value === null) return undefined;
+  const trimmed = String(value).trim();
+  return /^\d+$/.test(trimmed) ? parseInt(trimmed, 10) : undefined;
+}
+
+// Known address shapes in eu_interest_representatives, most specific first
+function extractAddress(entity) {
+  const candidates = [
+    entity.headOffice,
+    {
+      street: entity.headOfficeAddress,
+      city: entity.headOfficeCity,
+      postCode: entity.headOfficePostCode,
+      country: entity.headOfficeCountry
+    },
+    entity.contactDetails,
+    entity.address,
+    { street: entity.street, city: entity.city, postCode: entity.postCode ?? entity.postalCode, country: entity.country }
+  ];
+
+  for (const candidate of candidates) {
+    if (!candidate || typeof candidate !== 'object') continue;
+    const country = candidate.country ?? candidate.countryCode;
+    if (!country) continue;
+    return {
+      street: candidate.street ?? candidate.address ?? candidate.addressLine1 ?? candidate.addressline1 ?? '',
+      city: candidate.city ?? candidate.town ?? '',
+      postCode: candidate.postCode ?? candidate.postalCode ?? candidate.postcode,
+      country
+    };
+  }
+  return null;
+}
+
+export function resolveLocation(entity) {
+  const address = extractAddress(entity);
+  const countryId = normalizeCountry(address?.country);
+  if (!countryId) return { ...FALLBACK_LOCATION };
+
+  const knownCity = normalizeCity(address.city);
+  const city = knownCity || COUNTRIES[countryId].capital;
+  return {
+    city,
+    country: COUNTRIES[countryId].name,
+    countryId,
+    cityId: toCityId(city),
+    // Street and postal code only describe the head office if the city came from the same address
+    postalCode: knownCity ? toPostalCode(address.postCode) : undefined,
+    street: knownCity && typeof address.street === 'string' ? address.street.trim() : '',
+    source: knownCity ? 'entity' : 'entity-country'
+  };
+}
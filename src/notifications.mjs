@@ -0,0 +1,143 @@
+// Webhook notifications for runs: a Slack-compatible message and/or a generic JSON payload
+// at start, finish and failure. Finish payloads carry the run summary (summarizeReport() in
+// run-report.mjs) and any alerts the thresholds raise. Like reports, a notification that
+// cannot be delivered is logged and never fails the run.
+
+export const NOTIFY_EVENTS = ['start', 'finish', 'alert', 'failure'];
+
+const rate = (count, total) => (total > 0 ? (count / total) * 100 : 0);
+
+// Metrics a threshold can watch, computed from a run summary; percent ones are shares of processed entities
+export const ALERT_METRICS = {
+  'template': { percent: true, label: 'template fallback', value: ({ totals }) => rate(totals.byOutcome.template, totals.processed) },
+  'failed': { percent: true, label: 'failed entities', value: ({ totals }) => rate(totals.failed, totals.processed) },
+  'skipped': { percent: true, label: 'skipped entities', value: ({ totals }) => rate(totals.skipped, totals.processed + totals.skipped) },
+  'insert-failed': { percent: false, label: 'insert failures', value: ({ totals }) => totals.insertFailed },
+  'cost': { percent: false, label: 'cost (USD)', value: ({ usage }) => usage.cost }
+};
+
+export const DEFAULT_ALERTS = 'template>20%,failed>10%,insert-failed>0';
+
+export class NotificationConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotificationConfigError';
+  }
+}
+
+// "template>20%,cost>5" -> [{ metric, threshold }]; empty uses DEFAULT_ALERTS (the workflow passes '' for
+// an undefined variable), "none" turns alerts off
+export function parseAlertRules(value) {
+  const text = String(value ?? '').trim() || DEFAULT_ALERTS;
+  if (text.toLowerCase() === 'none') return [];
+  return text.split(',').map((rule) => rule.trim()).filter(Boolean).map((rule) => {
+    const match = rule.match(/^([a-z-]+)\s*>\s*(\d+(?:\.\d+)?)\s*(%?)$/);
+    const metric = match && ALERT_METRICS[match[1]];
+    if (!metric) {
+      throw new NotificationConfigError(`Invalid alert rule "${rule}". Expected <metric>><value>, e.g. template>20%, with metric one of: ${Object.keys(ALERT_METRICS).join(', ')}`);
+    }
+    if (metric.percent !== (match[3] === '%')) {
+      throw new NotificationConfigError(`Alert rule "${rule}": ${match[1]} is ${metric.percent ? 'a percentage, e.g. ' + match[1] + '>' + match[2] + '%' : 'not a percentage'}`);
+    }
+    return { metric: match[1], threshold: Number(match[2]) };
+  });
+}
+
+export function parseNotifyEvents(value) {
+  const events = String(value || NOTIFY_EVENTS.join(',')).split(',').map((event) => event.trim().toLowerCase()).filter(Boolean);
+  const unknown = events.filter((event) => !NOTIFY_EVENTS.includes(event));
+  if (unknown.length > 0) throw new NotificationConfigError(`Unknown NOTIFY_EVENTS ${unknown.join(', ')}. Expected: ${NOTIFY_EVENTS.join(', ')}`);
+  return events;
+}
+
+export function evaluateAlerts(rules, summary) {
+  return rules.flatMap(({ metric, threshold }) => {
+    const { percent, label, value } = ALERT_METRICS[metric];
+    const actual = value(summary);
+    if (!(actual > threshold)) return [];
+    const format = (n) => (percent ? `${Number(n.toFixed(1))}%` : `${Number(n.toFixed(2))}`);
+    return [{ metric, threshold, value: Number(actual.toFixed(2)), message: `${label} ${format(actual)} is above ${format(threshold)}` }];
+  });
+}
+
+function describeTotals({ totals, usage, timings }) {
+  const minutes = (timings.durationMs / 60000).toFixed(1);
+  return [
+    `${totals.successful}/${totals.processed} successful, ${totals.inserted} inserted in ${minutes} min`,
+    `LLM ${totals.byOutcome.llm + totals.byOutcome['llm-repaired']}, template ${totals.byOutcome.template} (${rate(totals.byOutcome.template, totals.processed).toFixed(1)}%), failed ${totals.failed}, skipped ${totals.skipped}, insert failures ${totals.insertFailed}`,
+    `$${usage.cost.toFixed(2)}, ${usage.totalTokens.toLocaleString('en-US')} tokens`
+  ];
+}
+
+// Slack incoming-webhook message: text is the fallback, the attachment colour the level
+export function toSlackMessage(payload) {
+  const { event, level, runId, summary, alerts, error, runUrl } = payload;
+  const icon = { ok: ':white_check_mark:', info: ':rocket:', warning: ':warning:', error: ':x:' }[level];
+  const headline = {
+    start: `${icon} Job generation run ${runId} started: ${payload.run?.requested} entities`,
+    finish: `${icon} Job generation run ${runId} ${summary?.status === 'budget-reached' ? 'stopped at its budget' : 'completed'}${alerts.length > 0 ? ` with ${alerts.length} alert(s)` : ''}`,
+    failure: `${icon} Job generation run ${runId || '(not started)'} failed: ${error}`
+  }[event];
+  const lines = [
+    ...(summary ? describeTotals(summary) : []),
+    ...(event === 'start' && payload.run ? [`Selection: ${payload.run.selection}, language: ${payload.run.language}, profile: ${payload.run.profile}`] : []),
+    ...alerts.map((alert) => `:rotating_light: ${alert.message}`),
+    ...(runUrl ? [`<${runUrl}|Workflow run>`] : [])
+  ];
+  return {
+    text: headline,
+    attachments: [{ color: { ok: 'good', info: '#439FE0', warning: 'warning', error: 'danger' }[level], text: lines.join('\n') }]
+  };
+}
+
+// webhooks: [{ url, format }]; events: which of NOTIFY_EVENTS to send ('alert' sends a finish
+// event only when it raised alerts); runUrl links the CI run. fetch is injectable, and any
+// local HTTP receiver works as a webhook url.
+export function createNotifier({ webhooks = [], events = NOTIFY_EVENTS, alerts: alertRules = parseAlertRules(), timeoutMs = 5000, runUrl = null, fetch = globalThis.fetch } = {}) {
+  async function post(webhook, payload) {
+    const body = webhook.format === 'slack' ? toSlackMessage(payload) : payload;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      await response.body?.cancel().catch(() => {});
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return true;
+    } catch (error) {
+      console.log(`⚠️  Could not send ${payload.event} notification to ${new URL(webhook.url).host}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function send(event, level, fields) {
+    const payload = { event, level, runUrl, sentAt: new Date().toISOString(), alerts: [], ...fields };
+    const results = await Promise.all(webhooks.map((webhook) => post(webhook, payload)));
+    return results.filter(Boolean).length;
+  }
+
+  return {
+    // run: { runId, requested, language, profile, selection } as printed at the start of the run
+    async start(run) {
+      if (!events.includes('start')) return 0;
+      return send('start', 'info', { runId: run.runId, run });
+    },
+
+    // Returns the alerts, so the caller can print them whether or not anything is sent
+    async finish(summary) {
+      const alerts = evaluateAlerts(alertRules, summary);
+      if (events.includes('finish') || (alerts.length > 0 && events.includes('alert'))) {
+        await send('finish', alerts.length > 0 ? 'warning' : 'ok', { runId: summary.runId, summary, alerts });
+      }
+      return alerts;
+    },
+
+    // summary is null when the run failed before it started (e.g. the database was unreachable)
+    async failure(error, summary = null) {
+      if (!events.includes('failure')) return 0;
+      return send('failure', 'error', { runId: summary?.runId || null, summary, error });
+    }
+  };
+}
@@ -0,0 +1,126 @@
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+
+// Generation profiles: seniority mix, salary bands, titles, contracts and benefits for a
+// kind of employer, kept as versioned JSON files in profiles/. Start dates are given in
+// months after the run date so postings never advertise a date in the past.
+
+export const PROFILES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'profiles');
+export const DEFAULT_PROFILE = 'default';
+
+export const SENIORITY_LEVELS = ['intern', 'junior', 'mid-level', 'senior'];
+export const CONTRACT_TYPES = ['internship', 'fixed-term', 'permanent'];
+
+export class ProfileError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n${errors.map((error) => `  - ${error}`).join('\n')}` : message);
+    this.name = 'ProfileError';
+    this.errors = errors;
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isWholeNumber = (value, min = 0) => Number.isInteger(value) && value >= min;
+
+// Text shown in postings: a plain string, or { en, fr, de, ... } with at least en
+function validateText(value, path, errors) {
+  if (isNonEmptyString(value)) return;
+  if (value && typeof value === 'object' && !Array.isArray(value) && isNonEmptyString(value.en)
+    && Object.values(value).every(isNonEmptyString)) return;
+  errors.push(`${path} must be a string or an object of strings with at least "en"`);
+}
+
+function validateLevel(level, path, errors) {
+  if (!level || typeof level !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (typeof level.weight !== 'number' || level.weight < 0) errors.push(`${path}.weight must be a number >= 0`);
+  if (!Array.isArray(level.salaryRange) || level.salaryRange.length !== 2 || !level.salaryRange.every((n) => isWholeNumber(n, 1))
+    || level.salaryRange[0] > level.salaryRange[1]) {
+    errors.push(`${path}.salaryRange must be [min, max] with 0 < min <= max`);
+  }
+  if (!isNonEmptyString(level.experienceYears)) errors.push(`${path}.experienceYears must be a string such as "1-3"`);
+  if (!Array.isArray(level.titles) || level.titles.length === 0 || !level.titles.every(isNonEmptyString)) {
+    errors.push(`${path}.titles must be a non-empty array of strings`);
+  }
+
+  const contract = level.contract;
+  if (!contract || !CONTRACT_TYPES.includes(contract.type)) {
+    errors.push(`${path}.contract.type must be one of: ${CONTRACT_TYPES.join(', ')}`);
+  } else if (contract.type !== 'permanent' && !isWholeNumber(contract.durationMonths, 1)) {
+    errors.push(`${path}.contract.durationMonths is required for ${contract.type} contracts`);
+  }
+  if (contract && !isWholeNumber(contract.startInMonths, 1)) errors.push(`${path}.contract.startInMonths must be a whole number >= 1`);
+
+  if (level.officeDays !== null && !(isWholeNumber(level.officeDays) && level.officeDays <= 5)) {
+    errors.push(`${path}.officeDays must be 0-5 days, or null for a flexible arrangement`);
+  }
+  if (!isWholeNumber(level.trainingBudget)) errors.push(`${path}.trainingBudget must be a whole number of euros`);
+  if (!isWholeNumber(level.leaveDays, 1)) errors.push(`${path}.leaveDays must be a whole number > 0`);
+  if (level.benefits !== undefined) {
+    if (!Array.isArray(level.benefits)) errors.push(`${path}.benefits must be an array`);
+    else level.benefits.forEach((benefit, i) => validateText(benefit, `${path}.benefits[${i}]`, errors));
+  }
+}
+
+// Returns a list of problems; an empty list means the profile can be used
+export function validateProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['profile must be a JSON object'];
+
+  if (!isNonEmptyString(profile.name)) errors.push('name must be a non-empty string');
+  if (!isNonEmptyString(profile.version)) errors.push('version must be a non-empty string');
+
+  const levels = profile.seniority && typeof profile.seniority === 'object' ? Object.keys(profile.seniority) : [];
+  if (levels.length === 0) errors.push('seniority must define at least one level');
+  for (const level of levels) {
+    if (!SENIORITY_LEVELS.includes(level)) {
+      errors.push(`seniority.${level} is not a known level (${SENIORITY_LEVELS.join(', ')})`);
+    } else {
+      validateLevel(profile.seniority[level], `seniority.${level}`, errors);
+    }
+  }
+  if (levels.length > 0 && levels.every((level) => !(profile.seniority[level]?.weight > 0))) {
+    errors.push('at least one seniority level needs a weight > 0');
+  }
+
+  if (!Array.isArray(profile.benefits)) errors.push('benefits must be an array');
+  else profile.benefits.forEach((benefit, i) => validateText(benefit, `benefits[${i}]`, errors));
+
+  return errors;
+}
+
+export function listProfiles(dir = PROFILES_DIR) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir).filter((file) => file.endsWith('.json')).map((file) => basename(file, '.json')).sort();
+}
+
+// Accepts a profile name from profiles/ or a path to a JSON file
+export function loadProfile(nameOrPath = DEFAULT_PROFILE, { dir = PROFILES_DIR } = {}) {
+  const path = nameOrPath.endsWith('.json') ? nameOrPath : join(dir, `${nameOrPath}.json`);
+  if (!existsSync(path)) {
+    throw new ProfileError(`Profile "${nameOrPath}" not found. Available: ${listProfiles(dir).join(', ') || '(none)'}`);
+  }
+
+  let profile;
+  try {
+    profile = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new ProfileError(`Profile ${path} is not valid JSON (${error.message})`);
+  }
+
+  const errors = validateProfile(profile);
+  if (errors.length > 0) throw new ProfileError(`Profile ${path} is invalid`, errors);
+  return profile;
+}
+
+// First day of the month startInMonths after the run date
+export function getStartDate(contract, runDate = new Date()) {
+  return new Date(Date.UTC(runDate.getUTCFullYear(), runDate.getUTCMonth() + contract.startInMonths, 1));
+}
+
+export function localizeText(value, language) {
+  return typeof value === 'string' ? value : value[language] || value.en;
+}
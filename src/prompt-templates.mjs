@@ -0,0 +1,115 @@
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { BRACKET_PLACEHOLDER } from './content-lint.mjs';
+
+// Prompt variants live in prompts/ as plain text with {{placeholder}} fields, listed in
+// prompts/variants.json with a version. A run splits its jobs between variants by
+// percentage and every job records the variant and version it was generated with.
+
+export const PROMPTS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+export class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptTemplateError';
+  }
+}
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+}
+
+// Replaces {{name}} and {{nested.name}}; a placeholder without a value is an error, not an empty string
+export function renderTemplate(template, context) {
+  const missing = new Set();
+  const output = template.replace(PLACEHOLDER, (match, path) => {
+    const value = lookup(context, path);
+    if (value === undefined || value === null) {
+      missing.add(path);
+      return match;
+    }
+    return String(value);
+  });
+  if (missing.size > 0) throw new PromptTemplateError(`No value for placeholder(s): ${[...missing].join(', ')}`);
+  return output;
+}
+
+// A bracketed instruction in a template gets copied into the posting, where the placeholders lint rule rejects it
+function readTemplate(dir, file) {
+  const path = join(dir, file);
+  if (!existsSync(path)) throw new PromptTemplateError(`Prompt template ${path} not found`);
+  const template = readFileSync(path, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+  const placeholder = template.match(BRACKET_PLACEHOLDER);
+  if (placeholder) {
+    throw new PromptTemplateError(`Prompt template ${path} contains the bracket placeholder "${placeholder[0]}": write it as a plain instruction`);
+  }
+  return template;
+}
+
+// "standard:80,concise:20" -> { standard: 80, concise: 20 }
+export function parseVariantSplit(value) {
+  const split = {};
+  for (const part of String(value).split(',').map((item) => item.trim()).filter(Boolean)) {
+    const [name, percent] = part.split(':').map((item) => item.trim());
+    split[name] = percent === undefined ? 100 : Number(percent);
+  }
+  return split;
+}
+
+function validateSplit(split, variants) {
+  const entries = Object.entries(split);
+  if (entries.length === 0) throw new PromptTemplateError('Prompt variant split is empty');
+  for (const [name, percent] of entries) {
+    if (!variants[name]) {
+      throw new PromptTemplateError(`Unknown prompt variant "${name}". Available: ${Object.keys(variants).join(', ')}`);
+    }
+    if (!Number.isInteger(percent) || percent < 0) throw new PromptTemplateError(`Share for prompt variant "${name}" must be a whole percentage`);
+  }
+  const total = entries.reduce((sum, [, percent]) => sum + percent, 0);
+  if (total !== 100) throw new PromptTemplateError(`Prompt variant shares must add up to 100, got ${total}`);
+}
+
+// Returns { variants: { name: { name, version, hash, system, user } }, split }
+export function loadPromptVariants({ dir = PROMPTS_DIR, split } = {}) {
+  const manifestPath = join(dir, 'variants.json');
+  if (!existsSync(manifestPath)) throw new PromptTemplateError(`Prompt manifest ${manifestPath} not found`);
+  let manifest;
+  try {
+    manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new PromptTemplateError(`Prompt manifest ${manifestPath} is not valid JSON (${error.message})`);
+  }
+
+  const variants = {};
+  for (const [name, entry] of Object.entries(manifest.variants || {})) {
+    if (!entry.version) throw new PromptTemplateError(`Prompt variant "${name}" has no version`);
+    const system = readTemplate(dir, entry.system);
+    const user = readTemplate(dir, entry.user);
+    // The content hash tells revisions apart even when someone forgets to bump the version
+    const hash = createHash('sha256').update(`${system}\n---\n${user}`).digest('hex').slice(0, 8);
+    variants[name] = { name, version: entry.version, hash, system, user };
+  }
+
+  const selected = split ? parseVariantSplit(split) : manifest.defaultSplit || {};
+  validateSplit(selected, variants);
+  return { variants, split: selected };
+}
+
+// Deterministic per key, so a resumed run sends the same entity to the same variant
+export function pickVariant(split, key) {
+  const bucket = createHash('sha256').update(String(key)).digest().readUInt32BE(0) % 100;
+  let upper = 0;
+  for (const [name, percent] of Object.entries(split)) {
+    upper += percent;
+    if (bucket < upper) return name;
+  }
+  return Object.keys(split).find((name) => split[name] > 0);
+}
+
+export function formatPromptVersion(variant) {
+  return `${variant.name}@${variant.version}+${variant.hash}`;
+}
@@ -0,0 +1,99 @@
+import { getErrorStatus, getRetryAfterMs } from './retry.mjs';
+
+// Token bucket with a max-in-flight cap. On 429 the rate is halved (at most once per
+// second, so a burst of 429s from one wave of requests counts once) and requests are
+// paused for the server's Retry-After; each success then adds recoveryStep req/s back.
+export class AdaptiveRateLimiter {
+  constructor({ requestsPerSecond = 8, maxInFlight = 10, minRequestsPerSecond = 0.5, recoveryStep = 0.1 } = {}) {
+    this.maxRate = requestsPerSecond;
+    this.rate = requestsPerSecond;
+    this.minRate = Math.min(minRequestsPerSecond, requestsPerSecond);
+    this.recoveryStep = recoveryStep;
+    this.maxInFlight = maxInFlight;
+    this.inFlight = 0;
+    this.tokens = requestsPerSecond;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.lastThrottle = 0;
+    this.throttleCount = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  async acquire() {
+    return new Promise((resolve) => {
+      this.queue.push(resolve);
+      this.processQueue();
+    });
+  }
+
+  release() {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+    this.processQueue();
+  }
+
+  // Runs fn inside a slot and feeds the outcome back into the rate
+  async schedule(fn) {
+    await this.acquire();
+    try {
+      const result = await fn();
+      this.recover();
+      return result;
+    } catch (error) {
+      if (getErrorStatus(error) === 429) this.throttle(getRetryAfterMs(error));
+      throw error;
+    } finally {
+      this.release();
+    }
+  }
+
+  throttle(retryAfterMs = null) {
+    const now = Date.now();
+    this.throttleCount++;
+    if (now - this.lastThrottle >= 1000) {
+      this.rate = Math.max(this.minRate, this.rate / 2);
+      this.tokens = 0;
+      this.lastThrottle = now;
+    }
+    if (retryAfterMs) {
+      this.pausedUntil = Math.max(this.pausedUntil, now + retryAfterMs);
+    }
+  }
+
+  recover() {
+    if (this.rate < this.maxRate) {
+      this.rate = Math.min(this.maxRate, this.rate + this.recoveryStep);
+    }
+  }
+
+  scheduleProcessing(delay) {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processQueue();
+    }, Math.max(delay, 10));
+  }
+
+  processQueue() {
+    const now = Date.now();
+    const timePassed = now - this.lastRefill;
+    this.tokens = Math.min(Math.max(1, this.rate), this.tokens + timePassed * this.rate / 1000);
+    this.lastRefill = now;
+
+    if (now < this.pausedUntil) {
+      if (this.queue.length > 0) this.scheduleProcessing(this.pausedUntil - now);
+      return;
+    }
+
+    while (this.queue.length > 0 && this.tokens >= 1 && this.inFlight < this.maxInFlight) {
+      this.tokens--;
+      this.inFlight++;
+      this.queue.shift()();
+    }
+
+    // Waiting on tokens needs a timer; waiting on in-flight slots is woken up by release()
+    if (this.queue.length > 0 && this.inFlight < this.maxInFlight) {
+      this.scheduleProcessing(Math.ceil((1 - this.tokens) * 1000 / this.rate));
+    }
+  }
+}
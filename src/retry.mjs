@@ -0,0 +1,59 @@
+// Retry helpers for LLM calls: which errors are transient, how long the server
+// asked us to wait, and exponential backoff with jitter.
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+export function getErrorStatus(error) {
+  return error?.status ?? error?.response?.status ?? null;
+}
+
+// Reads retry-after-ms / retry-after from the error's response headers (plain object or Headers)
+export function getRetryAfterMs(error, now = Date.now()) {
+  const headers = error?.headers || error?.response?.headers;
+  if (!headers) return null;
+  const read = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = Number(read('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) return retryAfterMs;
+
+  const retryAfter = read('retry-after');
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status) return status === 408 || status === 409 || status === 429 || status >= 500;
+  if (error?.name === 'APIConnectionError' || error?.name === 'APIConnectionTimeoutError') return true;
+  return RETRYABLE_CODES.includes(error?.code || error?.cause?.code);
+}
+
+// Equal-jitter exponential backoff; a server-provided Retry-After always wins as the lower bound.
+export function computeBackoffDelay(attempt, { baseDelayMs, maxDelayMs }, retryAfterMs = null, random = Math.random) {
+  if (retryAfterMs !== null) {
+    return Math.round(retryAfterMs + random() * Math.min(baseDelayMs, 1000));
+  }
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + random() * exponential / 2);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function withRetry(fn, { retries = 4, baseDelayMs = 1000, maxDelayMs = 60000, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) {
+        error.retryAttempts = attempt - 1;
+        throw error;
+      }
+      const delay = computeBackoffDelay(attempt, { baseDelayMs, maxDelayMs }, getRetryAfterMs(error));
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Entities that can receive a job: a name to post under and a website to derive contacts from
+export const ELIGIBLE_ENTITY_FILTER = {
+  $or: [
+    { name: { $exists: true, $ne: '' } },
+    { originalName: { $exists: true, $ne: '' } }
+  ],
+  webSiteURL: { $exists: true, $ne: '' }
+};
+
+// The cursor is stored as a string in the state file; entity ids are normally ObjectIds
+export function toCursorValue(cursor) {
+  return mongoose.isObjectIdOrHexString(cursor) ? new mongoose.Types.ObjectId(cursor) : cursor;
+}
+
+// One-time migration from the old skip()-based index: place the cursor at the same
+// position in _id order. The old order was unsorted, so this is approximate.
+export async function migrateLegacyIndex(EntityModel, currentIndex) {
+  if (!currentIndex) return null;
+  const [entity] = await EntityModel.find(ELIGIBLE_ENTITY_FILTER, { _id: 1 })
+    .sort({ _id: 1 })
+    .skip(currentIndex - 1)
+    .limit(1)
+    .lean();
+  return entity ? entity._id.toString() : null;
+}
+
+// Reads the next `limit` eligible entities after `cursor` in _id order. When the end of
+// the collection is reached the window wraps to the beginning, stopping at the cursor so
+// no entity appears twice in one window. Entities from index `wrapAt` on belong to the
+// next cycle (wrapAt === entities.length means the cycle did not end in this window).
+// `filter` narrows the eligible entities (see entity-selection.mjs).
+export async function fetchRotationWindow(EntityModel, cursor, limit, filter = ELIGIBLE_ENTITY_FILTER) {
+  const afterCursor = cursor ? { _id: { $gt: toCursorValue(cursor) } } : {};
+  const entities = await EntityModel.find({ ...filter, ...afterCursor })
+    .sort({ _id: 1 })
+    .limit(limit)
+    .lean();
+
+  const wrapAt = entities.length;
+  if (entities.length < limit && cursor) {
+    const wrapped = await EntityModel.find({ ...filter, _id: { $lte: toCursorValue(cursor) } })
+      .sort({ _id: 1 })
+      .limit(limit - entities.length)
+      .lean();
+    entities.push(...wrapped);
+  }
+
+  return { entities, wrapAt };
+}
@@ -0,0 +1,195 @@
+import { writeFileSync, appendFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+
+// Run reports: one JSON file with every entity's outcome and a Markdown summary per run
+// session, plus a history of run summaries for the stats command. History uses the same
+// backend as the rotation state, so CI runs (STATE_STORE=mongo) build up one shared history.
+
+export const REPORT_VERSION = 1;
+export const OUTCOMES = ['llm', 'llm-repaired', 'template', 'failed', 'skipped'];
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// entities: [{ entityId, entityName, outcome, seniority, language, attempts, durationMs, usage, error, lintWarnings, insertError }]
+export function buildRunReport({ run, resumed, startedAt, finishedAt = new Date(), status, error = null, options, stats, entities, batches, insertErrors }) {
+  const durationMs = finishedAt - startedAt;
+  const byOutcome = Object.fromEntries(OUTCOMES.map((outcome) => [outcome, 0]));
+  for (const entity of entities) byOutcome[entity.outcome]++;
+  const entityMs = entities.filter((entity) => entity.durationMs !== undefined).map((entity) => entity.durationMs).sort((a, b) => a - b);
+  const generated = stats.successful;
+
+  return {
+    reportVersion: REPORT_VERSION,
+    runId: run.runId,
+    resumed,
+    status,
+    error,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    options,
+    totals: {
+      requested: run.requested,
+      processed: stats.processed,
+      successful: stats.successful,
+      failed: stats.failed,
+      skipped: stats.skipped,
+      skippedByReason: stats.skippedByReason,
+      inserted: stats.inserted,
+      insertFailed: stats.insertFailed,
+      slugsRegenerated: stats.slugsRegenerated,
+      locationFallback: stats.locationFallback,
+      lintRejected: stats.lintRejected,
+      lintWarned: stats.lintWarned,
+      byOutcome
+    },
+    lintByRule: stats.lintByRule,
+    // { invalid, unknown: { path: n }, coerced: { path: n } } from the pre-insert schema check
+    schema: stats.schema,
+    bySeniority: stats.bySeniority,
+    byLanguage: stats.byLanguage,
+    byPromptVariant: stats.byPromptVariant,
+    usage: stats.usage,
+    budgetExhausted: stats.budgetExhausted,
+    timings: {
+      durationMs,
+      jobsPerMinute: durationMs > 0 ? Number((generated / (durationMs / 60000)).toFixed(2)) : 0,
+      entityMs: {
+        avg: entityMs.length > 0 ? Math.round(entityMs.reduce((sum, ms) => sum + ms, 0) / entityMs.length) : 0,
+        p50: percentile(entityMs, 50),
+        p95: percentile(entityMs, 95),
+        max: entityMs[entityMs.length - 1] || 0
+      },
+      batches
+    },
+    insertErrors,
+    entities
+  };
+}
+
+// The history keeps everything but the per-entity list
+export function summarizeReport(report) {
+  const { entities, insertErrors, timings, ...summary } = report;
+  return { ...summary, insertErrors: insertErrors.length, timings: { ...timings, batches: timings.batches.length } };
+}
+
+const formatDuration = (ms) => (ms >= 60000 ? `${(ms / 60000).toFixed(1)} min` : `${(ms / 1000).toFixed(1)} s`);
+const escapeCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').slice(0, 200);
+
+export function renderMarkdownReport(report, { maxProblems = 50 } = {}) {
+  const { totals, timings, usage } = report;
+  const lines = [
+    `# Job generation run ${report.runId}${report.resumed ? ' (resumed)' : ''}`,
+    '',
+    `**Status:** ${report.status}${report.error ? ` - ${report.error}` : ''}${report.budgetExhausted ? ' (budget reached)' : ''}`,
+    '',
+    '| Started | Duration | Throughput | Provider |',
+    '|---------|----------|------------|----------|',
+    `| ${report.startedAt} | ${formatDuration(timings.durationMs)} | ${timings.jobsPerMinute} jobs/min | ${report.options.provider} (${report.options.model}) |`,
+    '',
+    '## Outcomes',
+    '',
+    '| LLM | Repaired | Template | Failed | Skipped | Inserted | Insert errors |',
+    '|-----|----------|----------|--------|---------|----------|---------------|',
+    `| ${totals.byOutcome.llm} | ${totals.byOutcome['llm-repaired']} | ${totals.byOutcome.template} | ${totals.byOutcome.failed} | ${totals.byOutcome.skipped} | ${totals.inserted} | ${totals.insertFailed} |`,
+    ''
+  ];
+  if (totals.skipped > 0) {
+    lines.push(`Skipped: ${Object.entries(totals.skippedByReason).map(([reason, n]) => `${reason} ${n}`).join(', ')}`, '');
+  }
+
+  if (Object.keys(report.lintByRule || {}).length > 0) {
+    lines.push('## Content lint', '', `Rejected: ${totals.lintRejected}, inserted with warnings: ${totals.lintWarned}`, '', '| Rule | Findings |', '|------|----------|');
+    for (const [rule, byAction] of Object.entries(report.lintByRule)) {
+      lines.push(`| ${rule} | ${Object.entries(byAction).map(([action, n]) => `${n} ${action}`).join(', ')} |`);
+    }
+    lines.push('');
+  }
+
+  const schema = report.schema;
+  if (schema && (schema.invalid > 0 || Object.keys(schema.unknown).length > 0 || Object.keys(schema.coerced).length > 0)) {
+    lines.push('## Schema conformance', '', `Not inserted because of invalid fields: ${schema.invalid}`, '', '| Field | Dropped (unknown) | Coerced |', '|-------|-------------------|---------|');
+    for (const path of [...new Set([...Object.keys(schema.unknown), ...Object.keys(schema.coerced)])].sort()) {
+      lines.push(`| ${path} | ${schema.unknown[path] || 0} | ${schema.coerced[path] || 0} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## By seniority', '', '| Level | Jobs |', '|-------|------|');
+  for (const [level, count] of Object.entries(report.bySeniority)) lines.push(`| ${level} | ${count} |`);
+  lines.push('');
+
+  lines.push(
+    '## Timings and tokens',
+    '',
+    `- Per entity: avg ${formatDuration(timings.entityMs.avg)}, p50 ${formatDuration(timings.entityMs.p50)}, p95 ${formatDuration(timings.entityMs.p95)}, max ${formatDuration(timings.entityMs.max)}`,
+    `- Batches: ${timings.batches.length}`,
+    `- Tokens: ${usage.totalTokens.toLocaleString('en-US')} (${usage.promptTokens.toLocaleString('en-US')} prompt + ${usage.completionTokens.toLocaleString('en-US')} completion) in ${usage.calls} calls`,
+    `- Cost: $${usage.cost.toFixed(4)}`,
+    ''
+  );
+
+  const problems = report.entities.filter((entity) => entity.outcome === 'failed' || entity.outcome === 'template' || entity.insertError);
+  if (problems.length > 0) {
+    lines.push('## Failures, template fallbacks and insert errors', '', '| Entity | Outcome | Error |', '|--------|---------|-------|');
+    for (const entity of problems.slice(0, maxProblems)) {
+      lines.push(`| ${escapeCell(entity.entityName)} | ${entity.insertError ? `${entity.outcome}, not inserted` : entity.outcome} | ${escapeCell(entity.insertError || entity.error)} |`);
+    }
+    if (problems.length > maxProblems) lines.push('', `...and ${problems.length - maxProblems} more in the JSON report.`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+// Writes <dir>/<name>.json and <name>.md and returns their paths
+export function writeRunReport(report, dir) {
+  mkdirSync(dir, { recursive: true });
+  const name = report.resumed ? `${report.runId}-resumed-${report.startedAt.replace(/[-:]/g, '').replace(/\..*$/, '')}` : report.runId;
+  const json = join(dir, `${name}.json`);
+  const markdown = join(dir, `${name}.md`);
+  writeFileSync(json, JSON.stringify(report, null, 2));
+  writeFileSync(markdown, `${renderMarkdownReport(report)}\n`);
+  return { json, markdown };
+}
+
+// History backends share one interface: append(summary) / list({ limit, since }) newest first
+export function createFileRunHistory(file) {
+  return {
+    name: 'file',
+    location: file,
+
+    async append(summary) {
+      mkdirSync(dirname(file), { recursive: true });
+      appendFileSync(file, `${JSON.stringify(summary)}\n`);
+    },
+
+    async list({ limit = 20, since = null } = {}) {
+      if (!existsSync(file)) return [];
+      return readFileSync(file, 'utf8').split('\n').filter(Boolean)
+        .map((line) => JSON.parse(line))
+        .filter((summary) => !since || new Date(summary.startedAt) >= since)
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .slice(0, limit);
+    }
+  };
+}
+
+export function createMongoRunHistory(connection, { collectionName = 'generator_runs' } = {}) {
+  const collection = connection.collection(collectionName);
+
+  return {
+    name: 'mongo',
+    location: collectionName,
+
+    async append(summary) {
+      await collection.insertOne({ ...summary });
+    },
+
+    async list({ limit = 20, since = null } = {}) {
+      const filter = since ? { startedAt: { $gte: since.toISOString() } } : {};
+      return collection.find(filter, { projection: { _id: 0 } }).sort({ startedAt: -1 }).limit(limit).toArray();
+    }
+  };
+}
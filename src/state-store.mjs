@@ -0,0 +1,189 @@
+import { readFileSync, writeFileSync, existsSync, renameSync, unlinkSync } from 'fs';
+
+// Rotation state persistence with a run lock. Two backends share one interface:
+//   load() / save(state)            - read and write the rotation state
+//   acquireLock() / renewLock()     - take or extend a lease that expires after ttlMs
+//   releaseLock()                   - give the lease back
+//   getLock()                       - the current unexpired lease, or null
+// The lease keeps overlapping runs (two crons plus a manual dispatch) from reading the
+// same cursor; if a run dies without releasing it, the lease simply expires.
+
+// cursor: _id of the last entity processed; cycle: current pass over all eligible entities;
+// currentIndex: position of the cursor within that cycle
+export const DEFAULT_STATE = { cursor: null, cycle: 1, currentIndex: 0, eligibleCount: null, lastRun: null, totalGenerated: 0 };
+
+export class StateLockError extends Error {
+  constructor(message, holder = null) {
+    super(message);
+    this.name = 'StateLockError';
+    this.holder = holder;
+  }
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// What is wrong with a loaded state (DEFAULT_STATE merged in); an empty list means a run can use it
+export function validateState(state) {
+  const problems = [];
+  if (state.cursor !== null && typeof state.cursor !== 'string') problems.push('cursor must be an entity _id string or null');
+  if (!Number.isInteger(state.cycle) || state.cycle < 1) problems.push('cycle must be a whole number from 1');
+  if (!isCount(state.currentIndex)) problems.push('currentIndex must be a whole number from 0');
+  if (!isCount(state.totalGenerated)) problems.push('totalGenerated must be a whole number from 0');
+  if (state.eligibleCount !== null && !isCount(state.eligibleCount)) problems.push('eligibleCount must be a whole number or null');
+  if (state.lastRun !== null && !isDate(state.lastRun)) problems.push('lastRun must be an ISO date or null');
+  const run = state.activeRun;
+  if (run) {
+    if (typeof run.runId !== 'string') problems.push('activeRun.runId is missing');
+    if (!isCount(run.requested) || !isCount(run.processed) || run.processed > run.requested) {
+      problems.push('activeRun needs whole-number requested and processed counts, with processed <= requested');
+    }
+    if (!isDate(run.startedAt)) problems.push('activeRun.startedAt must be an ISO date');
+  }
+  return problems;
+}
+
+function readJsonFile(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+// Write to a temp file and rename, so a crash mid-write never leaves a truncated file
+function writeJsonFile(path, data) {
+  const tmpFile = `${path}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  renameSync(tmpFile, path);
+}
+
+// Local mode: state in a JSON file, lock in a sibling .lock file created exclusively
+export function createFileStateStore(stateFile) {
+  const lockFile = `${stateFile}.lock`;
+
+  return {
+    name: 'file',
+    location: stateFile,
+
+    async load() {
+      return existsSync(stateFile) ? { ...DEFAULT_STATE, ...readJsonFile(stateFile) } : { ...DEFAULT_STATE };
+    },
+
+    async save(state) {
+      writeJsonFile(stateFile, state);
+    },
+
+    async acquireLock(owner, ttlMs) {
+      const lock = { owner, acquiredAt: new Date().toISOString(), expiresAt: new Date(Date.now() + ttlMs).toISOString() };
+      try {
+        writeFileSync(lockFile, JSON.stringify(lock), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      let holder = null;
+      try {
+        holder = readJsonFile(lockFile);
+      } catch {
+        // unreadable lock file: treat as stale
+      }
+      if (holder && new Date(holder.expiresAt) > new Date()) {
+        throw new StateLockError(`State is locked by ${holder.owner} until ${holder.expiresAt}`, holder);
+      }
+      writeJsonFile(lockFile, lock);
+    },
+
+    async renewLock(owner, ttlMs) {
+      const holder = existsSync(lockFile) ? readJsonFile(lockFile) : null;
+      if (!holder || holder.owner !== owner) {
+        throw new StateLockError(`Lost state lock (now held by ${holder?.owner || 'nobody'})`, holder);
+      }
+      writeJsonFile(lockFile, { ...holder, expiresAt: new Date(Date.now() + ttlMs).toISOString() });
+    },
+
+    async releaseLock(owner) {
+      if (!existsSync(lockFile)) return;
+      const holder = readJsonFile(lockFile);
+      if (holder.owner === owner) unlinkSync(lockFile);
+    },
+
+    async getLock() {
+      const holder = existsSync(lockFile) ? readJsonFile(lockFile) : null;
+      return holder && new Date(holder.expiresAt) > new Date() ? holder : null;
+    }
+  };
+}
+
+// Shared mode: one document per state key in the generator_state collection.
+// `seedFile` is imported once when the document does not exist yet, so switching
+// from the file store keeps the rotation position.
+export function createMongoStateStore(connection, { key = 'rotation', collectionName = 'generator_state', seedFile = null } = {}) {
+  const collection = connection.collection(collectionName);
+
+  return {
+    name: 'mongo',
+    location: `${collectionName}/${key}`,
+
+    async load() {
+      const doc = await collection.findOne({ _id: key });
+      if (doc?.state) return { ...DEFAULT_STATE, ...doc.state };
+      if (seedFile && existsSync(seedFile)) {
+        console.log(`ℹ️  Seeding MongoDB state from ${seedFile}`);
+        return { ...DEFAULT_STATE, ...readJsonFile(seedFile) };
+      }
+      return { ...DEFAULT_STATE };
+    },
+
+    async save(state) {
+      await collection.updateOne({ _id: key }, { $set: { state, updatedAt: new Date() } }, { upsert: true });
+    },
+
+    // Atomic: either the lock is free/expired and we take it, or the upsert collides
+    // with the existing locked document on _id and we report the current holder.
+    async acquireLock(owner, ttlMs) {
+      const now = new Date();
+      try {
+        await collection.findOneAndUpdate(
+          { _id: key, $or: [{ lock: null }, { 'lock.expiresAt': { $lt: now } }] },
+          { $set: { lock: { owner, acquiredAt: now, expiresAt: new Date(now.getTime() + ttlMs) } } },
+          { upsert: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        const doc = await collection.findOne({ _id: key });
+        const holder = doc?.lock || null;
+        throw new StateLockError(`State is locked by ${holder?.owner} until ${holder?.expiresAt?.toISOString?.()}`, holder);
+      }
+    },
+
+    async renewLock(owner, ttlMs) {
+      const result = await collection.updateOne(
+        { _id: key, 'lock.owner': owner },
+        { $set: { 'lock.expiresAt': new Date(Date.now() + ttlMs) } }
+      );
+      if (result.matchedCount === 0) {
+        throw new StateLockError('Lost state lock (it expired and was taken by another run)');
+      }
+    },
+
+    async releaseLock(owner) {
+      await collection.updateOne({ _id: key, 'lock.owner': owner }, { $unset: { lock: '' } });
+    },
+
+    async getLock() {
+      const doc = await collection.findOne({ _id: key }, { projection: { lock: 1 } });
+      return doc?.lock && doc.lock.expiresAt > new Date() ? doc.lock : null;
+    }
+  };
+}
+
+// Retries acquireLock until it succeeds or waitMs has passed (waitMs = 0 fails immediately)
+export async function acquireLockWithWait(store, owner, { ttlMs, waitMs = 0, pollMs = 15000 }) {
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    try {
+      return await store.acquireLock(owner, ttlMs);
+    } catch (error) {
+      if (!(error instanceof StateLockError) || Date.now() + pollMs > deadline) throw error;
+      console.log(`⏳ ${error.message}, waiting...`);
+      await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+}
@@ -0,0 +1,137 @@
+import { readFileSync, existsSync } from 'fs';
+
+// Token accounting and the per-run budget. Prices are USD per million tokens; a model
+// matches the longest table key it starts with, so dated snapshots such as
+// gpt-4o-mini-2024-07-18 use the gpt-4o-mini price. LLM_PRICES_FILE adds or overrides entries.
+export const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'mock-deterministic': { input: 0, output: 0 }
+};
+
+export const EMPTY_USAGE = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+
+export class PriceTableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PriceTableError';
+  }
+}
+
+const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+export function loadPrices(file) {
+  if (!file) return { ...DEFAULT_PRICES };
+  if (!existsSync(file)) throw new PriceTableError(`Price table ${file} not found`);
+  let table;
+  try {
+    table = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new PriceTableError(`Price table ${file} is not valid JSON (${error.message})`);
+  }
+  for (const [model, price] of Object.entries(table)) {
+    if (!isPrice(price?.input) || !isPrice(price?.output)) {
+      throw new PriceTableError(`Price for "${model}" in ${file} needs numeric input and output (USD per 1M tokens)`);
+    }
+  }
+  return { ...DEFAULT_PRICES, ...table };
+}
+
+export function findPrice(prices, model) {
+  if (!model) return null;
+  const key = Object.keys(prices)
+    .filter((name) => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+// Rough count for budgeting before a call, and for servers that do not report usage
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+export function costOf({ promptTokens, completionTokens }, price) {
+  if (!price) return 0;
+  return (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+}
+
+export function addUsage(total, usage) {
+  return {
+    calls: (total.calls || 0) + (usage.calls ?? 1),
+    promptTokens: (total.promptTokens || 0) + usage.promptTokens,
+    completionTokens: (total.completionTokens || 0) + usage.completionTokens,
+    totalTokens: (total.totalTokens || 0) + usage.promptTokens + usage.completionTokens,
+    cost: (total.cost || 0) + usage.cost
+  };
+}
+
+export function formatUsage(usage) {
+  return `${usage.totalTokens.toLocaleString()} tokens (${usage.promptTokens.toLocaleString()} prompt + ${usage.completionTokens.toLocaleString()} completion), $${usage.cost.toFixed(4)}`;
+}
+
+// Running totals for one run, plus reservations for calls in flight. A call may only start
+// if its prompt and a full max_tokens completion still fit, so concurrent calls can never
+// take the run past the cap; the reservation is swapped for the real usage afterwards.
+export class UsageBudget {
+  constructor({ maxCost = null, maxTokens = null, price = null, spent = EMPTY_USAGE } = {}) {
+    this.maxCost = maxCost;
+    this.maxTokens = maxTokens;
+    this.price = price;
+    this.spent = { ...EMPTY_USAGE, ...spent };
+    this.reservedTokens = 0;
+    this.reservedCost = 0;
+    this.exhausted = false;
+  }
+
+  get limited() {
+    return this.maxCost !== null || this.maxTokens !== null;
+  }
+
+  reserve(promptTokens, maxCompletionTokens) {
+    if (this.exhausted) return null;
+    const tokens = promptTokens + maxCompletionTokens;
+    const cost = costOf({ promptTokens, completionTokens: maxCompletionTokens }, this.price);
+    const overTokens = this.maxTokens !== null && this.spent.totalTokens + this.reservedTokens + tokens > this.maxTokens;
+    const overCost = this.maxCost !== null && this.spent.cost + this.reservedCost + cost > this.maxCost;
+    if (overTokens || overCost) {
+      // Once a call is refused no further calls start, even smaller ones, so the run stops cleanly
+      this.exhausted = true;
+      return null;
+    }
+    this.reservedTokens += tokens;
+    this.reservedCost += cost;
+    return { tokens, cost };
+  }
+
+  release(reservation) {
+    if (!reservation) return;
+    this.reservedTokens -= reservation.tokens;
+    this.reservedCost -= reservation.cost;
+  }
+
+  // Returns { promptTokens, completionTokens, cost } for the call
+  record(usage) {
+    const call = { ...usage, cost: costOf(usage, this.price) };
+    this.spent = addUsage(this.spent, call);
+    return call;
+  }
+
+  describeLimit() {
+    const limits = [];
+    if (this.maxCost !== null) limits.push(`$${this.maxCost}`);
+    if (this.maxTokens !== null) limits.push(`${this.maxTokens.toLocaleString()} tokens`);
+    return limits.join(' / ') || 'none';
+  }
+}
+
+// Per-day totals kept in the rotation state; only the last `keepDays` days are kept
+export function addDailyUsage(byDay = {}, usage, date = new Date(), keepDays = 31) {
+  const day = date.toISOString().slice(0, 10);
+  const updated = { ...byDay, [day]: addUsage(byDay[day] || EMPTY_USAGE, usage) };
+  const days = Object.keys(updated).sort().slice(-keepDays);
+  return Object.fromEntries(days.map((key) => [key, updated[key]]));
+}
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { createContactResolver, createFileContactCache, looksLikeCareersPage } from '../src/contact-resolver.mjs';
+import { createTempDir, startServer } from './helpers.mjs';
+
+const page = (title, body = '') => `<!doctype html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+// Stub website: pages maps paths to [status, html]; anything else is a plain 404. Requested paths are recorded.
+async function startSite(t, pages = {}, { delayMs = 0 } = {}) {
+  const requests = [];
+  const origin = await startServer(t, (request, response) => {
+    requests.push(request.url);
+    const [status, html] = pages[request.url] || pages['*'] || [404, 'Not found'];
+    setTimeout(() => response.writeHead(status, { 'content-type': 'text/html' }).end(html), delayMs).unref();
+  });
+  return { origin, requests };
+}
+
+test('careers pages are recognised by their title or first heading', () => {
+  assert.equal(looksLikeCareersPage(page('Careers | Verte')), true);
+  assert.equal(looksLikeCareersPage(page('Verte', '<h1>Werken bij Verte</h1>')), true);
+  assert.equal(looksLikeCareersPage(page('Offres d\'emploi')), true);
+  assert.equal(looksLikeCareersPage(page('Verte', '<nav><a href="/careers">Careers</a></nav>')), false, 'a navigation link proves nothing');
+  assert.equal(looksLikeCareersPage(page('Page not found - Careers')), false);
+  assert.equal(looksLikeCareersPage(page('Jobs'), '/404'), false);
+});
+
+test('the first path that is a careers page is verified and cached', async (t) => {
+  const site = await startSite(t, { '/jobs': [200, page('Jobs at Verte')] });
+  const cache = createFileContactCache(join(createTempDir(t), 'careers-cache.json'));
+  const resolver = createContactResolver({ cache, timeoutMs: 2000 });
+
+  const contact = await resolver.resolve({ webSiteURL: site.origin }, { random: () => 0 });
+  assert.equal(contact.applyLink, `${site.origin}/jobs`);
+  assert.deepEqual(contact.contactSource, { applyLink: 'verified', contactEmail: 'guessed' });
+  assert.equal(contact.contactEmail, 'hr@127.0.0.1');
+  assert.deepEqual(site.requests, ['/careers', '/jobs']);
+  assert.equal((await cache.get(site.origin)).url, `${site.origin}/jobs`);
+});
+
+test('soft-404 and single-page sites are not verified', async (t) => {
+  const soft404 = await startSite(t, { '*': [200, page('Page not found')] });
+  const spa = await startSite(t, { '*': [200, page('Verte', '<div id="app"></div><nav><a href="/careers">Careers</a></nav>')] });
+  const cache = createFileContactCache(join(createTempDir(t), 'careers-cache.json'));
+  const resolver = createContactResolver({ cache, timeoutMs: 2000 });
+
+  for (const site of [soft404, spa]) {
+    const contact = await resolver.resolve({ webSiteURL: site.origin });
+    assert.equal(contact.applyLink, `${site.origin}/`);
+    assert.equal(contact.contactSource.applyLink, 'website');
+    assert.equal(site.requests.length, 8, 'every careers path is tried');
+    assert.equal((await cache.get(site.origin)).url, null, 'cached as a site without a careers page');
+  }
+});
+
+test('a redirect to the homepage is not a careers page', async (t) => {
+  const site = await startSite(t, { '/': [200, page('Careers and news')] });
+  const resolver = createContactResolver({
+    timeoutMs: 2000,
+    paths: ['/careers'],
+    fetch: (url, init) => fetch(url.endsWith('/careers') ? `${site.origin}/` : url, init)
+  });
+  assert.equal((await resolver.resolve({ webSiteURL: site.origin })).contactSource.applyLink, 'website');
+});
+
+test('a slow site is cut off after siteTimeoutMs and counts as having no careers page', async (t) => {
+  const site = await startSite(t, { '*': [200, page('Careers')] }, { delayMs: 1000 });
+  const cache = createFileContactCache(join(createTempDir(t), 'careers-cache.json'));
+  const resolver = createContactResolver({ cache, timeoutMs: 2000, siteTimeoutMs: 200 });
+
+  const started = Date.now();
+  const contact = await resolver.resolve({ webSiteURL: site.origin });
+  assert.ok(Date.now() - started < 900, 'the probe does not wait for the page');
+  assert.equal(contact.contactSource.applyLink, 'website');
+  assert.equal((await cache.get(site.origin)).url, null);
+});
+
+test('a site that does not answer is tried again next run', async (t) => {
+  const site = await startSite(t, { '*': [200, page('Careers')] }, { delayMs: 1000 });
+  const cache = createFileContactCache(join(createTempDir(t), 'careers-cache.json'));
+  const resolver = createContactResolver({ cache, timeoutMs: 100, siteTimeoutMs: 5000 });
+
+  assert.equal((await resolver.resolve({ webSiteURL: site.origin })).contactSource.applyLink, 'website');
+  assert.equal(site.requests.length, 1, 'the first timeout ends the probe');
+  assert.equal(await cache.get(site.origin), null);
+});
+
+test('contact data on the entity wins and probe off makes no request', async (t) => {
+  const site = await startSite(t, { '/careers': [200, page('Careers')] });
+  const entity = { webSiteURL: site.origin, careersURL: 'verte.example.org/vacatures', contactDetails: { email: 'jobs@verte.example.org' } };
+
+  const contact = await createContactResolver().resolve(entity);
+  assert.equal(contact.applyLink, 'https://verte.example.org/vacatures');
+  assert.equal(contact.contactEmail, 'jobs@verte.example.org');
+  assert.deepEqual(contact.contactSource, { applyLink: 'entity', contactEmail: 'entity' });
+
+  const offline = await createContactResolver({ probe: false }).resolve({ webSiteURL: site.origin });
+  assert.equal(offline.applyLink, `${site.origin}/`);
+  assert.deepEqual(site.requests, []);
+});
+
+test('cached results are reused until they are older than cacheDays', async (t) => {
+  const site = await startSite(t, { '/careers': [200, page('Careers')] });
+  const file = join(createTempDir(t), 'careers-cache.json');
+  let now = new Date('2026-10-19T09:00:00Z');
+  const clock = () => now;
+
+  const first = createContactResolver({ cache: createFileContactCache(file), clock, cacheDays: 30 });
+  await Promise.all([first.resolve({ webSiteURL: site.origin }), first.resolve({ webSiteURL: `${site.origin}/about` })]);
+  assert.equal(site.requests.length, 1, 'entities of one site share a probe');
+  assert.equal(existsSync(file), false, 'the cache is written on flush');
+  await first.flush();
+
+  const second = createContactResolver({ cache: createFileContactCache(file), clock, cacheDays: 30 });
+  assert.equal((await second.resolve({ webSiteURL: site.origin })).contactSource.applyLink, 'verified');
+  assert.equal(site.requests.length, 1);
+
+  now = new Date('2026-11-19T09:00:00Z');
+  await second.resolve({ webSiteURL: site.origin });
+  assert.equal(site.requests.length, 2);
+});
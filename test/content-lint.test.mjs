@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintJob, parseLintActions, parseBannedPhrases, findSalaryAmounts, LintConfigError, DEFAULT_LINT_ACTIONS } from '../src/content-lint.mjs';
+
+const DESCRIPTION = [
+  'Policy Officer at Organisation Verte',
+  '',
+  'ABOUT US',
+  'Organisation Verte works on climate policy in Brussels.',
+  '',
+  'WHAT WE OFFER',
+  'Salary: €45,000 - €55,000 per year.'
+].join('\n');
+
+const job = (fields = {}) => ({ title: 'Policy Officer', description: DESCRIPTION, ...fields });
+const context = { entityName: 'Organisation Verte ASBL', salaryRange: [42000, 58000], sections: ['ABOUT US', 'WHAT WE OFFER'] };
+const rules = (result) => result.issues.map((issue) => issue.rule);
+
+test('a clean posting has no issues', () => {
+  assert.deepEqual(lintJob(job(), context).issues, []);
+});
+
+test('salary figures are checked against the band, not an exact salary', () => {
+  assert.deepEqual(rules(lintJob(job({ description: DESCRIPTION.replace('€45,000 - €55,000', '€50,000') }), context)), []);
+  const outside = lintJob(job({ description: DESCRIPTION.replace('€55,000', '€75,000') }), context);
+  assert.deepEqual(rules(outside), ['salary']);
+  assert.match(outside.issues[0].message, /€75,000 outside the €42,000-€58,000 band/);
+});
+
+test('salary amounts are read in the usual notations and years are ignored', () => {
+  assert.deepEqual(findSalaryAmounts('Salary: €45.000 to €52 000 gross, reviewed in 2027'), [45000, 52000]);
+  assert.deepEqual(findSalaryAmounts('Salary: 45k-50.5k EUR'), [45000, 50500]);
+  assert.deepEqual(findSalaryAmounts('We pay €45,000 for the right person'), [], 'lines without a salary word are ignored');
+});
+
+test('leftover placeholders, markdown and truncation are regenerated', () => {
+  const result = lintJob(job({ description: `## About\n${DESCRIPTION}\n[Add 2-3 more benefits] and` }), context, {});
+  assert.deepEqual(rules(result).sort(), ['markdown', 'placeholders']);
+  assert.equal(result.regenerate.length, 2);
+  assert.deepEqual(rules(lintJob(job(), { ...context, finishReason: 'length' })), ['truncation']);
+  assert.deepEqual(rules(lintJob(job({ description: `${DESCRIPTION}\nApply by sending your CV,` }), context)), ['truncation']);
+});
+
+test('the organization may be named by its acronym or without its legal form', () => {
+  assert.deepEqual(rules(lintJob(job(), context)), []);
+  const acronym = { ...context, entityName: 'European Climate Network (ECN)' };
+  assert.deepEqual(rules(lintJob(job({ description: DESCRIPTION.replace(/Organisation Verte/g, 'ECN') }), acronym)), []);
+  assert.deepEqual(rules(lintJob(job({ description: DESCRIPTION.replace(/Organisation Verte/g, 'the association') }), context)), ['entity-name']);
+});
+
+test('banned phrases warn by default and LINT_RULES changes the action', () => {
+  const ninja = job({ description: `${DESCRIPTION}\nBe our policy ninja.` });
+  assert.equal(lintJob(ninja, context).warn[0].rule, 'banned-phrases');
+
+  const actions = parseLintActions('banned-phrases:reject, markdown:off');
+  assert.equal(lintJob(ninja, context, { actions }).reject[0].rule, 'banned-phrases');
+  assert.deepEqual(lintJob(job({ description: `# ${DESCRIPTION}` }), context, { actions }).issues, []);
+
+  const extra = parseBannedPhrases('Dynamic Team');
+  assert.equal(lintJob(job({ description: `${DESCRIPTION}\nJoin a dynamic team.` }), context, { bannedPhrases: extra }).warn.length, 1);
+});
+
+test('unknown lint rules and actions are configuration errors', () => {
+  assert.deepEqual(parseLintActions(''), DEFAULT_LINT_ACTIONS);
+  assert.throws(() => parseLintActions('spelling:warn'), LintConfigError);
+  assert.throws(() => parseLintActions('salary:ignore'), LintConfigError);
+});
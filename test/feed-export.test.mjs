@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportFeed, checkFeedChannel, createJobUrl, descriptionToHtml, FeedConfigError } from '../src/feed-export.mjs';
+
+const NOW = new Date('2026-10-19T09:00:00Z');
+const CHANNEL = { title: 'EU jobs', link: 'https://jobs.example.eu', description: 'Jobs & more', publisher: 'EU jobs', publisherurl: 'https://jobs.example.eu' };
+
+function makeJob(fields = {}) {
+  return {
+    _id: '6710a1b2c3d4e5f601234567',
+    title: 'Policy Officer',
+    slug: 'policy-officer-verte',
+    companyName: 'Verte & Partners <ASBL>',
+    description: 'We work on "fair" climate policy.\n\nApply by 30 November.',
+    city: 'Brussels',
+    country: 'Belgium',
+    countryId: 'BE',
+    applyLink: 'https://verte.example.org/careers',
+    contactEmail: 'hr@verte.example.org',
+    createdAt: new Date('2026-10-18T09:00:00Z'),
+    expiresOn: '2026-11-17T09:00:00.000Z',
+    seniority: 'mid',
+    contractType: 'permanent',
+    salary: 52000,
+    ...fields
+  };
+}
+
+test('descriptions become escaped HTML paragraphs', () => {
+  assert.equal(descriptionToHtml('A & B\nline two\n\n<b>C</b>'), '<p>A &amp; B<br>line two</p>\n<p>&lt;b&gt;C&lt;/b&gt;</p>');
+});
+
+test('RSS escapes text and links each job', () => {
+  const { output, exported, invalid } = exportFeed([makeJob()], 'rss', { channel: CHANNEL, now: NOW, jobUrl: createJobUrl('https://jobs.example.eu/jobs/{slug}?id={id}') });
+  assert.equal(exported, 1);
+  assert.deepEqual(invalid, []);
+  assert.match(output, /<title>Policy Officer at Verte &amp; Partners &lt;ASBL&gt;<\/title>/);
+  assert.match(output, /<link>https:\/\/jobs.example.eu\/jobs\/policy-officer-verte\?id=6710a1b2c3d4e5f601234567<\/link>/);
+  assert.match(output, /<description>&lt;p&gt;We work on &amp;quot;fair&amp;quot; climate policy.&lt;\/p&gt;/);
+  assert.match(output, /<description>Jobs &amp; more<\/description>/);
+  assert.match(output, /<lastBuildDate>Mon, 19 Oct 2026 09:00:00 GMT<\/lastBuildDate>/);
+});
+
+test('the XML feed keeps "]]>" inside its CDATA sections', () => {
+  const { output } = exportFeed([makeJob({ title: 'Officer ]]> <script>' })], 'xml', { channel: CHANNEL, now: NOW });
+  assert.match(output, /<title><!\[CDATA\[Officer ]]]]><!\[CDATA\[> <script>]]><\/title>/);
+  assert.match(output, /<url><!\[CDATA\[https:\/\/verte.example.org\/careers]]><\/url>/, 'without FEED_JOB_URL the applyLink is used');
+  assert.match(output, /<salary><!\[CDATA\[€52,000 per year]]><\/salary>/);
+  assert.doesNotMatch(output, /<state>/, 'blank fields are left out');
+});
+
+test('JSON-LD postings carry the public fields only', () => {
+  const { output } = exportFeed([makeJob({ remote: 'Remote' })], 'jsonld', { now: NOW });
+  const [posting] = JSON.parse(output);
+  assert.equal(posting['@type'], 'JobPosting');
+  assert.equal(posting.datePosted, '2026-10-18T09:00:00.000Z');
+  assert.equal(posting.hiringOrganization.sameAs, 'https://verte.example.org');
+  assert.equal(posting.jobLocation.address.addressCountry, 'BE');
+  assert.equal(posting.jobLocationType, 'TELECOMMUTE');
+  assert.equal(posting.baseSalary.value.value, 52000);
+  assert.equal(JSON.stringify(posting).includes('hr@verte.example.org'), false);
+});
+
+test('jobs missing a required field are reported, not exported', () => {
+  const jobs = [makeJob(), makeJob({ _id: 'b', city: '', applyLink: '' }), makeJob({ _id: 'c', countryId: null })];
+  const xml = exportFeed(jobs, 'xml', { channel: CHANNEL, now: NOW });
+  assert.equal(xml.exported, 1);
+  assert.deepEqual(xml.invalid.map(({ id, missing }) => [id, missing]), [['b', ['url', 'city']], ['c', ['country']]]);
+
+  const jsonld = exportFeed(jobs, 'jsonld', { now: NOW });
+  assert.deepEqual(jsonld.invalid.map(({ id }) => id), ['c']);
+});
+
+test('RSS and XML feeds need their channel settings', () => {
+  assert.throws(() => checkFeedChannel('rss', { title: 'EU jobs', description: 'x' }), FeedConfigError);
+  assert.throws(() => exportFeed([makeJob()], 'xml', { channel: { publisher: 'EU jobs' } }), /needs publisherurl/);
+  assert.doesNotThrow(() => checkFeedChannel('jsonld', {}));
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { loadGeneratorConfig } from '../src/generator-config.mjs';
+import { ConfigError } from '../src/exit-codes.mjs';
+import { LintConfigError } from '../src/content-lint.mjs';
+import { NotificationConfigError, parseAlertRules, DEFAULT_ALERTS } from '../src/notifications.mjs';
+
+const ROOT = '/srv/generator';
+const load = (env) => loadGeneratorConfig({ LLM_PROVIDER: 'mock', ...env }, { rootDir: ROOT });
+
+test('defaults without any settings', () => {
+  const config = load({});
+  assert.equal(config.stateStore, 'mongo');
+  assert.equal(config.dbName, 'test');
+  assert.equal(config.sink.type, 'mongo');
+  assert.equal(config.stateFile, join(ROOT, 'rotation-state.json'));
+  assert.equal(config.reportsDir, join(ROOT, 'reports'));
+  assert.deepEqual(config.dedupe, { cooldownDays: 2, maxActiveJobs: 10, activeDays: 30 });
+  assert.deepEqual(config.rateLimit, { requestsPerSecond: 8, maxInFlight: 10 });
+  assert.equal(config.contacts.probe, true);
+  assert.deepEqual(config.notify.webhooks, []);
+  assert.deepEqual(config.notify.alerts, parseAlertRules(DEFAULT_ALERTS));
+  assert.equal(config.providerError, null);
+});
+
+test('unknown store, sink and language values are configuration errors', () => {
+  assert.throws(() => load({ STATE_STORE: 'redis' }), ConfigError);
+  assert.throws(() => load({ JOB_SINK: 'sqlite' }), ConfigError);
+  assert.throws(() => load({ JOB_LANGUAGE: 'xx' }), ConfigError);
+  assert.equal(load({ STATE_STORE: 'FILE' }).stateStore, 'file');
+});
+
+test('numeric settings must be numbers in range', () => {
+  assert.throws(() => load({ LLM_MAX_RETRIES: 'four' }), /LLM_MAX_RETRIES must be a whole number of 0 or more, got "four"/);
+  assert.throws(() => load({ ENTITY_MAX_ACTIVE_JOBS: '2.5' }), ConfigError);
+  assert.throws(() => load({ LLM_MAX_IN_FLIGHT: '0' }), /above 0/);
+  assert.throws(() => load({ ENTITY_COOLDOWN_DAYS: '-1' }), ConfigError);
+  assert.equal(load({ ENTITY_COOLDOWN_DAYS: '0.5' }).dedupe.cooldownDays, 0.5);
+  assert.equal(load({ LLM_REQUESTS_PER_SECOND: '2.5' }).rateLimit.requestsPerSecond, 2.5);
+});
+
+test('empty values count as unset', () => {
+  const config = load({ LLM_MAX_RETRIES: '', JOB_PROFILE: '', RUN_MAX_COST: '  ', REPORTS_DIR: '', NOTIFY_ALERTS: '' });
+  assert.equal(config.retry.retries, 4);
+  assert.equal(config.runDefaults.profile, undefined);
+  assert.equal(config.runDefaults.maxCost, undefined);
+  assert.equal(config.reportsDir, join(ROOT, 'reports'));
+  assert.deepEqual(config.notify.alerts, parseAlertRules(DEFAULT_ALERTS));
+  assert.equal(load({ ENTITY_STRATEGY: ' weighted ' }).runDefaults.strategy, 'weighted');
+});
+
+test('REPORTS_DIR=none turns reports off', () => {
+  assert.equal(load({ REPORTS_DIR: 'none' }).reportsDir, null);
+  assert.equal(load({ REPORTS_DIR: 'NONE' }).reportsDir, null);
+  assert.equal(load({ REPORTS_DIR: '/var/reports' }).reportsDir, '/var/reports');
+});
+
+test('notification and lint settings are parsed when the config loads', () => {
+  const config = load({ SLACK_WEBHOOK_URL: 'https://hooks.slack.com/a', NOTIFY_WEBHOOK_URL: 'http://127.0.0.1:9000/hook', NOTIFY_ALERTS: 'none' });
+  assert.deepEqual(config.notify.webhooks.map((webhook) => webhook.format), ['slack', 'json']);
+  assert.deepEqual(config.notify.alerts, []);
+  assert.throws(() => load({ NOTIFY_WEBHOOK_URL: 'hooks.example.org' }), NotificationConfigError);
+  assert.throws(() => load({ NOTIFY_EVENTS: 'finish,done' }), NotificationConfigError);
+  assert.throws(() => load({ LINT_RULES: 'salary:maybe' }), LintConfigError);
+});
+
+test('the run url is built from the GitHub Actions variables', () => {
+  const config = load({ GITHUB_RUN_ID: '42', GITHUB_REPOSITORY: 'org/jobs' });
+  assert.equal(config.notify.runUrl, 'https://github.com/org/jobs/actions/runs/42');
+});
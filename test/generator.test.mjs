@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestGenerator, createMemoryJobSink, makeEntities, quiet, RUN_DATE } from './helpers.mjs';
+import { UsageBudget } from '../src/usage.mjs';
+
+test('the rotation wraps around into the next cycle and continues from the cursor', async (t) => {
+  quiet(t);
+  // The next scheduled run comes after the cooldown, so the entities of the new cycle are not skipped
+  let now = RUN_DATE;
+  const clock = () => now;
+  const { generator, stateStore, jobSink } = createTestGenerator(t, { entities: makeEntities(7), clock, jobSink: createMemoryJobSink({ clock }) });
+
+  const first = await generator.generateRotatedJobs(5);
+  assert.equal(first.successful, 5);
+  let state = await stateStore.load();
+  assert.deepEqual([state.cursor, state.cycle, state.currentIndex, state.eligibleCount], ['e005', 1, 5, 7]);
+
+  now = new Date(RUN_DATE.getTime() + 3 * 24 * 60 * 60 * 1000);
+  const second = await generator.generateRotatedJobs(5);
+  assert.equal(second.successful, 5);
+  state = await stateStore.load();
+  assert.deepEqual([state.cursor, state.cycle, state.currentIndex], ['e003', 2, 3]);
+  assert.ok(state.lastCycleCompletedAt);
+  assert.equal(state.totalGenerated, 10);
+  assert.equal(state.activeRun, null);
+  assert.deepEqual(jobSink.jobs.map((job) => job.entityId), ['e001', 'e002', 'e003', 'e004', 'e005', 'e006', 'e007', 'e001', 'e002', 'e003']);
+});
+
+test('fixed clock and random give the same jobs on every run', async (t) => {
+  quiet(t);
+  const titles = [];
+  for (let run = 0; run < 2; run++) {
+    const { generator, jobSink } = createTestGenerator(t, { entities: makeEntities(3) });
+    await generator.generateRotatedJobs(3);
+    titles.push(jobSink.jobs.map((job) => `${job.title}|${job.seniority}|${job.salary}`));
+  }
+  assert.deepEqual(titles[0], titles[1]);
+});
+
+test('a run that dies after a checkpoint is finished by --resume without repeating entities', async (t) => {
+  quiet(t);
+  // Batches are 50 entities; the second insert fails, so the first batch is checkpointed
+  const failing = createMemoryJobSink({ failOnInsert: (call) => call === 2 });
+  const { generator, stateStore, config } = createTestGenerator(t, { entities: makeEntities(120), jobSink: failing });
+  await assert.rejects(generator.generateRotatedJobs(120), /insert 2 failed/);
+
+  let state = await stateStore.load();
+  assert.equal(state.activeRun.processed, 50);
+  assert.equal(state.cursor, 'e050');
+  assert.equal(await stateStore.getLock(), null, 'the lock is released after a failure');
+
+  const jobSink = createMemoryJobSink();
+  const { generator: resumed } = createTestGenerator(t, { entities: makeEntities(120), jobSink, stateStore, config });
+  const result = await resumed.generateRotatedJobs(120, { resume: true });
+  assert.equal(result.processed, 70);
+  assert.equal(jobSink.jobs[0].entityId, 'e051');
+  assert.equal(jobSink.jobs.at(-1).entityId, 'e120');
+  assert.equal(jobSink.jobs[0].generation.runId, failing.jobs[0].generation.runId);
+
+  state = await stateStore.load();
+  assert.equal(state.activeRun, null);
+  assert.deepEqual([state.cursor, state.currentIndex, state.totalGenerated], ['e120', 120, 120]);
+});
+
+test('--resume without an interrupted run does nothing', async (t) => {
+  quiet(t);
+  const { generator, jobSink } = createTestGenerator(t);
+  const result = await generator.generateRotatedJobs(5, { resume: true });
+  assert.equal(result.status, 'nothing-to-resume');
+  assert.equal(jobSink.jobs.length, 0);
+});
+
+test('budget skip leaves the entities without an LLM call ahead of the cursor', async (t) => {
+  quiet(t);
+  // Room for about two mock calls, whatever their exact size
+  const probe = createTestGenerator(t, { entities: makeEntities(1) });
+  const single = await probe.generator.generateRotatedJobs(1);
+  const maxTokens = Math.floor(single.usage.totalTokens * 2.5);
+
+  const { generator, stateStore, jobSink } = createTestGenerator(t, { entities: makeEntities(7) });
+  const result = await generator.generateRotatedJobs(7, { budget: { maxCost: null, maxTokens, onExhausted: 'skip' } });
+  assert.ok(result.budgetExhausted);
+  assert.ok(result.successful > 0 && result.successful < 7);
+  assert.equal(result.skippedByReason.budget, 7 - result.successful);
+  assert.equal(jobSink.jobs.length, result.successful);
+
+  const state = await stateStore.load();
+  assert.equal(state.currentIndex, result.successful);
+  assert.equal(state.cursor, jobSink.jobs.at(-1).entityId);
+});
+
+test('budget template mode finishes the run with template postings', async (t) => {
+  quiet(t);
+  const { generator, stateStore } = createTestGenerator(t, { entities: makeEntities(5) });
+  const result = await generator.generateRotatedJobs(5, { budget: { maxCost: null, maxTokens: 1, onExhausted: 'template' } });
+  assert.equal(result.successful, 5);
+  assert.ok(result.templateFallback > 0);
+  assert.equal((await stateStore.load()).currentIndex, 5);
+});
+
+test('entities on cooldown are skipped before any LLM call and still advance the cursor', async (t) => {
+  quiet(t);
+  const jobSink = createMemoryJobSink();
+  jobSink.jobs.push({ entityId: 'e002', createdAt: new Date(RUN_DATE.getTime() - 60 * 60 * 1000) });
+  const { generator, stateStore } = createTestGenerator(t, { entities: makeEntities(3), jobSink });
+
+  const result = await generator.generateRotatedJobs(3);
+  assert.equal(result.successful, 2);
+  assert.deepEqual(result.skippedByReason, { cooldown: 1 });
+  assert.equal(result.usage.calls, 2);
+  assert.equal((await stateStore.load()).cursor, 'e003');
+});
+
+test('a dry run stores nothing and leaves the state as it was', async (t) => {
+  quiet(t);
+  const { generator, stateStore, jobSink } = createTestGenerator(t, { entities: makeEntities(4) });
+  const result = await generator.generateRotatedJobs(4, { dryRun: true });
+  assert.equal(result.successful, 4);
+  assert.equal(jobSink.jobs.length, 0);
+  const state = await stateStore.load();
+  assert.deepEqual([state.cursor, state.currentIndex, state.totalGenerated], [null, 0, 0]);
+});
+
+test('a run does not start while another one holds the lock', async (t) => {
+  quiet(t);
+  const { generator, stateStore } = createTestGenerator(t);
+  await stateStore.acquireLock('other-host:1', 60000);
+  const result = await generator.generateRotatedJobs(5);
+  assert.equal(result.status, 'locked');
+  assert.equal(result.lockHolder.owner, 'other-host:1');
+});
+
+test('generateForEntity renders the template posting without an LLM call', async (t) => {
+  quiet(t);
+  const { generator } = createTestGenerator(t);
+  const result = await generator.generateForEntity('e004', { template: true });
+  assert.equal(result.success, true);
+  assert.equal(result.jobRecord.generation.method, 'template');
+  assert.equal(result.jobRecord.generation.usage.calls, 0);
+  assert.match(result.jobRecord.description, /Organisation 4/);
+  assert.equal(await generator.generateForEntity('missing'), null);
+});
+
+test('the budget counts what a resumed run already spent', () => {
+  const budget = new UsageBudget({ maxTokens: 100, spent: { calls: 1, promptTokens: 60, completionTokens: 30, totalTokens: 90, cost: 0 } });
+  assert.ok(budget.reserve(2, 5));
+  assert.equal(budget.reserve(2, 5), null);
+  assert.equal(budget.exhausted, true);
+  assert.equal(budget.reserve(1, 0), null, 'no call starts once one was refused');
+});
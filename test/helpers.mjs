@@ -0,0 +1,120 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createGenerator } from '../generate-rotated-jobs.mjs';
+import { loadGeneratorConfig } from '../src/generator-config.mjs';
+import { createProvider } from '../src/llm-providers.mjs';
+import { createFileStateStore } from '../src/state-store.mjs';
+
+// Shared fixtures: the generator runs on the mock provider with in-memory entities and jobs and
+// a file state store in a temp directory, so no test needs MongoDB or network access.
+
+export const RUN_DATE = new Date('2026-10-19T09:00:00Z');
+
+// Entities e001..eNNN in _id order, all eligible
+export function makeEntities(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    _id: `e${String(i + 1).padStart(3, '0')}`,
+    name: `Organisation ${i + 1}`,
+    webSiteURL: `https://org${i + 1}.example.org`
+  }));
+}
+
+// The entity source interface of src/entity-source.mjs over an array; filters are ignored
+export function createMemoryEntitySource(entities) {
+  const sorted = [...entities].sort((a, b) => a._id.localeCompare(b._id));
+  return {
+    name: 'memory',
+    async count() {
+      return sorted.length;
+    },
+    async fetchWindow(cursor, limit) {
+      const window = sorted.filter((entity) => !cursor || entity._id > cursor).slice(0, limit);
+      const wrapAt = window.length;
+      if (window.length < limit && cursor) window.push(...sorted.filter((entity) => entity._id <= cursor).slice(0, limit - window.length));
+      return { entities: window, wrapAt };
+    },
+    async fetchByIds(ids) {
+      return ids.map((id) => sorted.find((entity) => entity._id === id)).filter(Boolean);
+    },
+    async findById(id) {
+      return sorted.find((entity) => entity._id === id) || null;
+    },
+    async listCandidates() {
+      return sorted.map(({ _id }) => ({ _id }));
+    },
+    async cursorAt(position) {
+      return sorted[position - 1]?._id || null;
+    }
+  };
+}
+
+// Keeps inserted jobs in `jobs`, stamped with createdAt as MongoDB would. findActivity reads them
+// back for duplicate prevention; failOnInsert(n) makes the n-th insert call throw.
+export function createMemoryJobSink({ clock = () => RUN_DATE, failOnInsert = () => false } = {}) {
+  const jobs = [];
+  let calls = 0;
+  return {
+    name: 'memory',
+    location: 'memory',
+    jobs,
+    async insert(batch) {
+      if (failOnInsert(++calls)) throw new Error(`insert ${calls} failed`);
+      jobs.push(...batch.map((job) => ({ ...job, createdAt: clock() })));
+      return { inserted: batch.length, regenerated: 0, failed: [] };
+    },
+    async findActivity(entities) {
+      return new Map(entities.map((entity) => {
+        const own = jobs.filter((job) => job.entityId === entity._id);
+        const lastPostedAt = own.length > 0 ? new Date(Math.max(...own.map((job) => job.createdAt.getTime()))) : null;
+        return [entity._id, { activeCount: own.length, lastPostedAt }];
+      }));
+    }
+  };
+}
+
+export function createTempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'job-generator-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Local HTTP server for webhooks and careers pages; resolves to its http://127.0.0.1:<port> origin
+export async function startServer(t, handler) {
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Runs produce a lot of progress output
+export function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+// config from env on top of the mock provider, without report files; returns the generator, its
+// state store and the dependencies, so a test can run it again with the same state
+export function createTestGenerator(t, { entities = makeEntities(10), env = {}, jobSink = createMemoryJobSink(), clock = () => RUN_DATE, ...overrides } = {}) {
+  const dir = createTempDir(t);
+  const config = {
+    ...loadGeneratorConfig({ LLM_PROVIDER: 'mock', LLM_REQUESTS_PER_SECOND: '1000', LLM_MAX_IN_FLIGHT: '50', ...env }, { rootDir: dir }),
+    reportsDir: null
+  };
+  const stateStore = createFileStateStore(join(dir, 'rotation-state.json'));
+  const dependencies = {
+    config,
+    llm: createProvider(config.provider),
+    entitySource: createMemoryEntitySource(entities),
+    jobSink,
+    stateStore,
+    clock,
+    random: () => 0.5,
+    ...overrides
+  };
+  return { generator: createGenerator(dependencies), stateStore, jobSink, config, dir };
+}
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { readFileSync, writeFileSync } from 'fs';
+import { createFileJobSink } from '../src/job-sink.mjs';
+import { readJobFile, formatFromPath, csvHeader, JobFileError } from '../src/job-file.mjs';
+import { createTempDir } from './helpers.mjs';
+
+function makeJob(n, fields = {}) {
+  return {
+    _id: `6710a1b2c3d4e5f60123456${n}`,
+    title: `Policy Officer ${n}`,
+    companyName: 'Verte, "Partners" ASBL',
+    description: 'ABOUT US\nWe work on climate policy, in Brussels.\n\nApply by "30 November".',
+    entityId: `e00${n}`,
+    salary: 52000,
+    skills: ['policy-analysis', 'advocacy'],
+    contactSource: { applyLink: 'verified', contactEmail: 'guessed' },
+    generation: { runId: 'run-1', method: 'llm', lintWarnings: [] },
+    ...fields
+  };
+}
+
+test('the format follows the file extension', () => {
+  assert.equal(formatFromPath('jobs/out.jsonl'), 'jsonl');
+  assert.equal(formatFromPath('out.NDJSON'), 'jsonl');
+  assert.equal(formatFromPath('out.csv'), 'csv');
+  assert.equal(formatFromPath('out.txt'), null);
+  assert.throws(() => readJobFile('out.txt'), JobFileError);
+});
+
+test('the JSONL sink appends one record per line across runs', async (t) => {
+  const path = join(createTempDir(t), 'nested', 'jobs.jsonl');
+  const sink = createFileJobSink(path, 'jsonl');
+  assert.deepEqual(await sink.insert([makeJob(1), makeJob(2)]), { inserted: 2, regenerated: 0, failed: [] });
+  await sink.insert([makeJob(3)]);
+
+  const records = readJobFile(path);
+  assert.deepEqual(records.map(({ line }) => line), [1, 2, 3]);
+  assert.deepEqual(records[2].record, makeJob(3));
+});
+
+test('the CSV sink writes the header once and its cells survive the round trip', async (t) => {
+  const path = join(createTempDir(t), 'jobs.csv');
+  const sink = createFileJobSink(path, 'csv');
+  await sink.insert([makeJob(1)]);
+  await sink.insert([makeJob(2, { salary: undefined })]);
+
+  const text = readFileSync(path, 'utf8');
+  assert.equal(text.split(csvHeader()).length, 2, 'one header for two inserts');
+
+  const records = readJobFile(path);
+  assert.equal(records.length, 2);
+  assert.equal(records[1].line, 6, 'lines count the line breaks inside quoted cells');
+  const { record } = records[0];
+  assert.equal(record.companyName, 'Verte, "Partners" ASBL');
+  assert.equal(record.description, makeJob(1).description);
+  assert.equal(record.salary, '52000', 'plain cells stay strings for Mongoose to cast');
+  assert.deepEqual(record.skills, ['policy-analysis', 'advocacy']);
+  assert.deepEqual(record.generation, makeJob(1).generation);
+  assert.equal('salary' in records[1].record, false, 'empty cells are left out');
+});
+
+test('broken files are reported with their line', (t) => {
+  const dir = createTempDir(t);
+  const jsonl = join(dir, 'broken.jsonl');
+  writeFileSync(jsonl, '{"title":"ok"}\n\n{"title":\n');
+  assert.throws(() => readJobFile(jsonl), /^JobFileError: Line 3: not valid JSON/);
+  writeFileSync(jsonl, '["not", "an", "object"]\n');
+  assert.throws(() => readJobFile(jsonl), /Line 1: expected a JSON object/);
+
+  const csv = join(dir, 'broken.csv');
+  writeFileSync(csv, 'title,colour\nA,red\n');
+  assert.throws(() => readJobFile(csv), /Unknown CSV columns: colour/);
+  writeFileSync(csv, 'title,companyName\nA\n');
+  assert.throws(() => readJobFile(csv), /Line 2: 1 cells, the header has 2/);
+  writeFileSync(csv, 'title,skills\nA,[oops\n');
+  assert.throws(() => readJobFile(csv), /Line 2: column skills is not valid JSON/);
+  writeFileSync(csv, 'title\n"unterminated\n');
+  assert.throws(() => readJobFile(csv), /Unterminated quoted cell starting on line 2/);
+  assert.throws(() => readJobFile(join(dir, 'missing.csv')), /Cannot read/);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMaintenanceFilter } from '../src/job-maintenance.mjs';
+
+const NOW = new Date('2026-10-19T09:00:00Z');
+const daysBefore = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+test('jobs past expiresOn match, and jobs without one fall back to their age', () => {
+  const filter = buildMaintenanceFilter({ action: 'delete', source: 'generator', legacyDays: 45 }, NOW);
+  assert.deepEqual(filter, {
+    source: 'generator',
+    $or: [
+      { expiresOn: { $lt: '2026-10-19T09:00:00.000Z', $nin: [null, ''] } },
+      { expiresOn: { $in: [null, ''] }, createdAt: { $lt: daysBefore(45) } }
+    ]
+  });
+});
+
+test('expire skips jobs already expired and --older-than limits by age', () => {
+  const filter = buildMaintenanceFilter({ action: 'expire', source: 'generator', olderThanDays: 90, legacyDays: 45 }, NOW);
+  assert.deepEqual(filter.status, { $ne: 'expired' });
+  assert.deepEqual(filter.createdAt, { $lt: daysBefore(90) });
+  assert.equal(buildMaintenanceFilter({ action: 'archive', source: 'generator', legacyDays: 45 }, NOW).status, undefined);
+});
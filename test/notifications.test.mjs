@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAlertRules, parseNotifyEvents, evaluateAlerts, toSlackMessage, createNotifier, NotificationConfigError } from '../src/notifications.mjs';
+import { quiet, startServer } from './helpers.mjs';
+
+// A finished run as summarizeReport() in run-report.mjs returns it
+function makeSummary({ processed = 100, template = 10, failed = 0, skipped = 0, insertFailed = 0, cost = 1.5 } = {}) {
+  const llm = processed - template - failed;
+  return {
+    runId: 'run-1',
+    status: 'completed',
+    totals: { processed, successful: llm + template, inserted: llm + template - insertFailed, failed, skipped, insertFailed, byOutcome: { llm, 'llm-repaired': 0, template, failed, skipped } },
+    usage: { cost, totalTokens: 123456 },
+    timings: { durationMs: 90000 }
+  };
+}
+
+test('alert rules need a known metric and the right unit', () => {
+  assert.deepEqual(parseAlertRules('template>20%, cost>5'), [{ metric: 'template', threshold: 20 }, { metric: 'cost', threshold: 5 }]);
+  assert.equal(parseAlertRules('').length, 3, 'empty uses the defaults');
+  assert.deepEqual(parseAlertRules('none'), []);
+  assert.throws(() => parseAlertRules('latency>5'), NotificationConfigError);
+  assert.throws(() => parseAlertRules('template>20'), /is a percentage/);
+  assert.throws(() => parseAlertRules('cost>5%'), /not a percentage/);
+  assert.throws(() => parseNotifyEvents('finish,done'), NotificationConfigError);
+});
+
+test('alerts fire only above their threshold', () => {
+  const rules = parseAlertRules('template>20%,failed>10%,insert-failed>0,cost>5');
+  assert.deepEqual(evaluateAlerts(rules, makeSummary({ template: 20 })), []);
+
+  const alerts = evaluateAlerts(rules, makeSummary({ template: 25, failed: 12, insertFailed: 2, cost: 7.123 }));
+  assert.deepEqual(alerts.map((alert) => alert.metric), ['template', 'failed', 'insert-failed', 'cost']);
+  assert.equal(alerts[0].message, 'template fallback 25% is above 20%');
+  assert.equal(alerts[3].value, 7.12);
+  assert.deepEqual(evaluateAlerts(rules, makeSummary({ processed: 0, template: 0 })), [], 'an empty run raises no percentage alerts');
+});
+
+test('Slack messages carry the headline, totals and alerts', () => {
+  const summary = makeSummary({ template: 30 });
+  const alerts = evaluateAlerts(parseAlertRules('template>20%'), summary);
+  const message = toSlackMessage({ event: 'finish', level: 'warning', runId: 'run-1', summary, alerts, runUrl: 'https://github.com/org/jobs/actions/runs/42' });
+  assert.equal(message.text, ':warning: Job generation run run-1 completed with 1 alert(s)');
+  assert.equal(message.attachments[0].color, 'warning');
+  assert.match(message.attachments[0].text, /100\/100 successful, 100 inserted in 1\.5 min\nLLM 70, template 30 \(30\.0%\)/);
+  assert.match(message.attachments[0].text, /:rotating_light: template fallback 30% is above 20%/);
+  assert.match(message.attachments[0].text, /<https:\/\/github.com\/org\/jobs\/actions\/runs\/42\|Workflow run>/);
+});
+
+test('each webhook gets its format, and events can be filtered', async () => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    return new Response(null, { status: 200 });
+  };
+  const notifier = createNotifier({
+    webhooks: [{ url: 'https://hooks.slack.test/a', format: 'slack' }, { url: 'https://receiver.test/hook', format: 'json' }],
+    events: ['alert', 'failure'],
+    alerts: parseAlertRules('template>20%'),
+    fetch
+  });
+
+  assert.equal(await notifier.start({ runId: 'run-1', requested: 10 }), 0);
+  assert.deepEqual(await notifier.finish(makeSummary()), []);
+  assert.equal(calls.length, 0, 'a finish without alerts is not sent with events=alert');
+
+  const alerts = await notifier.finish(makeSummary({ template: 40 }));
+  assert.equal(alerts.length, 1);
+  assert.equal(calls.length, 2);
+  assert.ok(calls[0].body.attachments);
+  assert.equal(calls[1].body.event, 'finish');
+  assert.equal(calls[1].body.level, 'warning');
+  assert.equal(calls[1].body.alerts[0].metric, 'template');
+
+  assert.equal(await notifier.failure('MongoDB unreachable'), 2);
+  assert.equal(calls[3].body.runId, null, 'a run that never started has no runId');
+  assert.equal(calls[3].body.error, 'MongoDB unreachable');
+});
+
+test('notifications reach a local receiver, and a failing one never throws', async (t) => {
+  quiet(t);
+  const received = [];
+  const origin = await startServer(t, (request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      received.push({ path: request.url, type: request.headers['content-type'], payload: JSON.parse(body) });
+      response.writeHead(request.url === '/broken' ? 500 : 204).end();
+    });
+  });
+  const notifier = createNotifier({
+    webhooks: [{ url: `${origin}/hook`, format: 'json' }, { url: `${origin}/broken`, format: 'json' }],
+    timeoutMs: 2000
+  });
+
+  assert.equal(await notifier.start({ runId: 'run-2', requested: 5, language: 'en', profile: 'default', selection: 'sequential' }), 1);
+  assert.equal(received.length, 2);
+  const hook = received.find((request) => request.path === '/hook');
+  assert.equal(hook.type, 'application/json');
+  assert.deepEqual([hook.payload.event, hook.payload.run.requested], ['start', 5]);
+  assert.match(console.log.mock.calls.at(-1).arguments[0], /Could not send start notification to 127\.0\.0\.1:\d+: HTTP 500/);
+});
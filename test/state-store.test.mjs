@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { writeFileSync } from 'fs';
+import { createFileStateStore, validateState, acquireLockWithWait, StateLockError, DEFAULT_STATE } from '../src/state-store.mjs';
+import { createTempDir, quiet } from './helpers.mjs';
+
+test('the file store starts from the default state and keeps what is saved', async (t) => {
+  const store = createFileStateStore(join(createTempDir(t), 'rotation-state.json'));
+  assert.deepEqual(await store.load(), DEFAULT_STATE);
+  await store.save({ ...DEFAULT_STATE, cursor: 'e005', currentIndex: 5 });
+  const state = await store.load();
+  assert.deepEqual([state.cursor, state.currentIndex, state.cycle], ['e005', 5, 1]);
+});
+
+test('the lock keeps a second run out until it is released or expires', async (t) => {
+  const store = createFileStateStore(join(createTempDir(t), 'rotation-state.json'));
+  await store.acquireLock('host-a:1', 60000);
+  await assert.rejects(store.acquireLock('host-b:2', 60000), (error) => error instanceof StateLockError && error.holder.owner === 'host-a:1');
+  await assert.rejects(store.renewLock('host-b:2', 60000), /Lost state lock \(now held by host-a:1\)/);
+
+  await store.releaseLock('host-b:2');
+  assert.equal((await store.getLock()).owner, 'host-a:1', 'only the owner releases the lock');
+  await store.releaseLock('host-a:1');
+  assert.equal(await store.getLock(), null);
+
+  await store.acquireLock('host-a:1', -1000);
+  assert.equal(await store.getLock(), null, 'an expired lease is no lock');
+  await store.acquireLock('host-b:2', 60000);
+  assert.equal((await store.getLock()).owner, 'host-b:2');
+});
+
+test('an unreadable lock file counts as stale', async (t) => {
+  const stateFile = join(createTempDir(t), 'rotation-state.json');
+  writeFileSync(`${stateFile}.lock`, '{"owner":');
+  const store = createFileStateStore(stateFile);
+  await store.acquireLock('host-a:1', 60000);
+  assert.equal((await store.getLock()).owner, 'host-a:1');
+});
+
+test('acquireLockWithWait gives up after waitMs', async (t) => {
+  quiet(t);
+  const store = createFileStateStore(join(createTempDir(t), 'rotation-state.json'));
+  await store.acquireLock('host-a:1', 60000);
+  await assert.rejects(acquireLockWithWait(store, 'host-b:2', { ttlMs: 60000, waitMs: 50, pollMs: 20 }), StateLockError);
+  assert.ok(console.log.mock.calls.length >= 1, 'it polled before giving up');
+});
+
+test('validateState lists what a run cannot use', () => {
+  assert.deepEqual(validateState(DEFAULT_STATE), []);
+  const problems = validateState({
+    ...DEFAULT_STATE,
+    cursor: 5,
+    cycle: 0,
+    lastRun: 'yesterday',
+    activeRun: { runId: 'run-1', requested: 10, processed: 12, startedAt: '2026-10-19T09:00:00Z' }
+  });
+  assert.deepEqual(problems, [
+    'cursor must be an entity _id string or null',
+    'cycle must be a whole number from 1',
+    'lastRun must be an ISO date or null',
+    'activeRun needs whole-number requested and processed counts, with processed <= requested'
+  ]);
+});